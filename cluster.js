@@ -0,0 +1,95 @@
+// Runs several server.js workers on one machine behind one port.
+//   WORKERS=4 npm run cluster
+// The primary accepts every connection and hands it to a worker; Socket.io
+// sessions stick to the worker that started them (long-polling needs that),
+// and the cluster adapter relays room broadcasts between workers.
+// Set METRICS_PORT to serve /metrics summed over all workers; a worker's own
+// /metrics only covers that worker.
+// SIGTERM/SIGINT stops taking connections and lets every worker shut down
+// gracefully before the primary exits.
+const cluster = require('cluster');
+const http = require('http');
+const os = require('os');
+const { setupMaster } = require('@socket.io/sticky');
+const { setupPrimary } = require('@socket.io/cluster-adapter');
+const { AggregatorRegistry } = require('prom-client');
+const { serveWorkerRateLimits } = require('./rateLimitStore');
+require('dotenv').config();
+const { logger } = require('./logger');
+
+const WORKERS = Number(process.env.WORKERS) || os.cpus().length;
+const PORT = process.env.PORT || 3001;
+
+const serveClusterMetrics = (port) => {
+  const registry = new AggregatorRegistry();
+
+  return http.createServer(async (req, res) => {
+    if (req.url !== '/metrics') {
+      res.writeHead(404).end();
+      return;
+    }
+    try {
+      const body = await registry.clusterMetrics();
+      res.writeHead(200, { 'Content-Type': registry.contentType }).end(body);
+    } catch (error) {
+      logger.error('Cluster metrics error', { error });
+      res.writeHead(500).end();
+    }
+  }).listen(port, () => logger.info('Cluster metrics listening', { port: Number(port) }));
+};
+
+if (cluster.isPrimary) {
+  logger.info('Primary starting workers', { workers: WORKERS });
+
+  const server = http.createServer();
+  setupMaster(server, { loadBalancingMethod: 'least-connection' });
+  setupPrimary();
+  // Without REDIS_URL, workers share rate-limit buckets through the primary
+  serveWorkerRateLimits(cluster);
+
+  // Socket.io packets may carry binary attachments
+  cluster.setupPrimary({ serialization: 'advanced' });
+
+  for (let i = 0; i < WORKERS; i++) {
+    cluster.fork();
+  }
+
+  let shuttingDown = false;
+  let metricsServer = null;
+
+  cluster.on('exit', (worker, code, signal) => {
+    if (shuttingDown) {
+      logger.info('Worker stopped', { worker: worker.id, workerPid: worker.process.pid, code, signal });
+      if (Object.keys(cluster.workers).length === 0) {
+        logger.info('All workers stopped');
+        process.exit(0);
+      }
+      return;
+    }
+    logger.error('Worker exited, restarting', { worker: worker.id, workerPid: worker.process.pid, code, signal });
+    cluster.fork();
+  });
+
+  server.listen(PORT, () => logger.info('Cluster listening', { port: Number(PORT) }));
+
+  if (process.env.METRICS_PORT) {
+    metricsServer = serveClusterMetrics(process.env.METRICS_PORT);
+  }
+
+  // Workers drain their own requests and sockets (see server.js)
+  const shutdown = (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('Primary shutting down', { signal });
+
+    server.close();
+    if (metricsServer) metricsServer.close();
+    const workers = Object.values(cluster.workers);
+    if (workers.length === 0) process.exit(0);
+    workers.forEach(worker => worker.process.kill('SIGTERM'));
+  };
+
+  ['SIGTERM', 'SIGINT'].forEach(signal => process.on(signal, () => shutdown(signal)));
+} else {
+  require('./server');
+}
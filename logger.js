@@ -0,0 +1,51 @@
+// Structured logging: one JSON object per line on stdout (stderr for warn/error).
+// Anything logged while an HTTP request or socket event is being handled picks up
+// that request's context (requestId, username, ...) from requestContext.
+//   LOG_LEVEL=debug|info|warn|error   (default info)
+//   LOG_FORMAT=pretty                 plain lines for local development
+const { AsyncLocalStorage } = require('async_hooks');
+
+const requestContext = new AsyncLocalStorage();
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LOG_LEVELS[process.env.LOG_LEVEL] || LOG_LEVELS.info;
+
+// Errors don't survive JSON.stringify on their own
+const serializeField = (value) => (value instanceof Error
+  ? { name: value.name, message: value.message, ...(value.code && { code: value.code }), stack: value.stack }
+  : value);
+
+const format = (entry) => {
+  if (process.env.LOG_FORMAT !== 'pretty') return JSON.stringify(entry);
+
+  const { time, level, msg, ...fields } = entry;
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase()} ${msg}${extra}`;
+};
+
+const write = (level, msg, fields = {}) => {
+  if (LOG_LEVELS[level] < minLevel) return;
+
+  const entry = { time: new Date().toISOString(), level, msg, pid: process.pid, ...requestContext.getStore() };
+  Object.entries(fields).forEach(([key, value]) => {
+    entry[key] = serializeField(value);
+  });
+
+  let line;
+  try {
+    line = format(entry);
+  } catch (error) {
+    // Circular or otherwise unserializable fields; keep the message at least
+    line = format({ time: entry.time, level, msg, pid: entry.pid, logError: error.message });
+  }
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+module.exports = { logger, requestContext };
@@ -0,0 +1,155 @@
+// Token-bucket stores behind the rate limiter in server.js. Every store has
+// consume([{ key, limit: { capacity, refillPerMinute } }, ...]) resolving to
+// { allowed, retryAfterMs }. A request takes one token from each of its buckets,
+// and only if every one of them has a token: a bucket that denies it never
+// costs the others anything.
+//   MemoryRateLimitStore   buckets in this process (a single instance)
+//   RedisRateLimitStore    buckets in Redis, shared by every instance (REDIS_URL)
+//   PrimaryRateLimitStore  cluster.js workers ask the primary, which keeps one
+//                          MemoryRateLimitStore for all of them
+const RATE_LIMIT_REQUEST = 'chatnet:rate-limit';
+const RATE_LIMIT_RESULT = 'chatnet:rate-limit-result';
+const PRIMARY_TIMEOUT_MS = 1000;
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+    // Full buckets carry no information, so they can be dropped
+    setInterval(() => this.prune(), 60 * 1000).unref();
+  }
+
+  async consume(requested) {
+    const now = Date.now();
+    const buckets = requested.map(({ key, limit: { capacity, refillPerMinute } }) => {
+      const refillPerMs = refillPerMinute / 60000;
+      const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+
+      bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+      bucket.updatedAt = now;
+      bucket.capacity = capacity;
+      bucket.refillPerMs = refillPerMs;
+      this.buckets.set(key, bucket);
+      return bucket;
+    });
+
+    const empty = buckets.filter(bucket => bucket.tokens < 1);
+    if (empty.length > 0) {
+      return {
+        allowed: false,
+        retryAfterMs: Math.max(...empty.map(bucket => Math.ceil((1 - bucket.tokens) / bucket.refillPerMs)))
+      };
+    }
+
+    buckets.forEach(bucket => { bucket.tokens -= 1; });
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs >= bucket.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+// Same bucket arithmetic as MemoryRateLimitStore, run atomically inside Redis
+// on Redis's own clock. ARGV holds capacity and refillPerMs for each key in turn.
+// Buckets expire once they would be full again.
+const TOKEN_BUCKET_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local capacities = {}
+local rates = {}
+local tokens = {}
+local allowed = 1
+local retryAfterMs = 0
+for i, key in ipairs(KEYS) do
+  capacities[i] = tonumber(ARGV[2 * i - 1])
+  rates[i] = tonumber(ARGV[2 * i])
+  local bucket = redis.call('HMGET', key, 'tokens', 'updatedAt')
+  local updatedAt = tonumber(bucket[2]) or now
+  tokens[i] = math.min(capacities[i], (tonumber(bucket[1]) or capacities[i]) + (now - updatedAt) * rates[i])
+  if tokens[i] < 1 then
+    allowed = 0
+    retryAfterMs = math.max(retryAfterMs, math.ceil((1 - tokens[i]) / rates[i]))
+  end
+end
+
+for i, key in ipairs(KEYS) do
+  if allowed == 1 then
+    tokens[i] = tokens[i] - 1
+  end
+  redis.call('HSET', key, 'tokens', tostring(tokens[i]), 'updatedAt', tostring(now))
+  redis.call('PEXPIRE', key, math.ceil((capacities[i] - tokens[i]) / rates[i]) + 1000)
+end
+return { allowed, retryAfterMs }
+`;
+
+class RedisRateLimitStore {
+  constructor(client, prefix = 'ratelimit:') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async consume(requested) {
+    const [allowed, retryAfterMs] = await this.client.eval(TOKEN_BUCKET_SCRIPT, {
+      keys: requested.map(({ key }) => `${this.prefix}${key}`),
+      arguments: requested.flatMap(({ limit }) => [String(limit.capacity), String(limit.refillPerMinute / 60000)])
+    });
+    return { allowed: allowed === 1, retryAfterMs };
+  }
+}
+
+// Worker side: each consume() is a round trip over the cluster IPC channel
+class PrimaryRateLimitStore {
+  constructor(timeoutMs = PRIMARY_TIMEOUT_MS) {
+    this.timeoutMs = timeoutMs;
+    this.pending = new Map();
+    this.nextId = 0;
+
+    process.on('message', (message) => {
+      if (!message || message.type !== RATE_LIMIT_RESULT) return;
+      const request = this.pending.get(message.id);
+      if (!request) return;
+
+      this.pending.delete(message.id);
+      clearTimeout(request.timer);
+      request.resolve({ allowed: message.allowed, retryAfterMs: message.retryAfterMs });
+    });
+  }
+
+  consume(requested) {
+    return new Promise((resolve, reject) => {
+      const id = ++this.nextId;
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error('Rate limit request to the cluster primary timed out'));
+      }, this.timeoutMs);
+
+      this.pending.set(id, { resolve, timer });
+      process.send({ type: RATE_LIMIT_REQUEST, id, requested });
+    });
+  }
+}
+
+// Primary side: answer every worker's consume() from one shared store
+const serveWorkerRateLimits = (cluster, store = new MemoryRateLimitStore()) => {
+  cluster.on('message', async (worker, message) => {
+    if (!message || message.type !== RATE_LIMIT_REQUEST) return;
+
+    const { allowed, retryAfterMs } = await store.consume(message.requested);
+    if (worker.isConnected()) {
+      worker.send({ type: RATE_LIMIT_RESULT, id: message.id, allowed, retryAfterMs });
+    }
+  });
+};
+
+module.exports = {
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  PrimaryRateLimitStore,
+  serveWorkerRateLimits
+};
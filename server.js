@@ -1,11 +1,29 @@
 const express = require('express');
 const http = require('http');
+const cluster = require('cluster');
 const socketIo = require('socket.io');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { z } = require('zod');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 require('dotenv').config();
+const promClient = require('prom-client');
+const proxyAddr = require('proxy-addr');
+const { logger, requestContext } = require('./logger');
+const { MemoryRateLimitStore, RedisRateLimitStore, PrimaryRateLimitStore } = require('./rateLimitStore');
+const { TOTP_STEP_SECONDS, TOTP_DIGITS, base32Encode, generateTotpSecret, matchTotp } = require('./totp');
+
+// Tokens must never be signed with a guessable default
+if (!process.env.JWT_SECRET) {
+  logger.error('JWT_SECRET is not set; add it to your .env file');
+  process.exit(1);
+}
 
 const app = express();
 const server = http.createServer(app);
@@ -18,37 +36,379 @@ const io = socketIo(server, {
   }
 });
 
+// Instances share rooms and broadcasts through a Socket.io adapter:
+//   REDIS_URL set        -> Redis pub/sub, for instances on any number of hosts
+//   started by cluster.js -> the cluster adapter over the workers' IPC channel
+//   otherwise            -> the default in-memory adapter (a single process)
+// Rate-limit buckets are shared the same way, so limits hold across instances.
+// Everything is addressed to rooms (per user, session, group or socket id), so
+// delivery doesn't care which instance a device is connected to.
+// Redis connections the adapter opened, closed again on shutdown
+const adapterClients = [];
+
+const setupAdapter = async () => {
+  if (process.env.REDIS_URL) {
+    const { createClient } = require('redis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+
+    const pubClient = createClient({ url: process.env.REDIS_URL });
+    const subClient = pubClient.duplicate();
+    [pubClient, subClient].forEach(client => client.on('error', error => logger.error('Redis error', { error })));
+    adapterClients.push(pubClient, subClient);
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+
+    io.adapter(createAdapter(pubClient, subClient));
+    rateLimitStore = new RedisRateLimitStore(pubClient);
+    logger.info('Socket.io using the Redis adapter');
+  } else if (cluster.isWorker) {
+    const { createAdapter } = require('@socket.io/cluster-adapter');
+    io.adapter(createAdapter());
+    rateLimitStore = new PrimaryRateLimitStore();
+    logger.info('Socket.io using the cluster adapter', { worker: cluster.worker.id });
+  }
+};
+
+// Set when SIGTERM/SIGINT arrives (see GRACEFUL SHUTDOWN), which waits for
+// in-flight HTTP requests and socket work to finish before exiting
+let shuttingDown = false;
+const inFlight = { http: 0, socket: 0 };
+
+// Per-IP rate limits need the client address, not the proxy's
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY)
+    ? Number(process.env.TRUST_PROXY)
+    : process.env.TRUST_PROXY);
+}
+
+// ==================== OBSERVABILITY ====================
+// Prometheus metrics are served at /metrics. Every HTTP request gets a request
+// id (a sane incoming X-Request-Id is kept) that is echoed back and attached to
+// each log line written while handling it; socket events get their own.
+
+promClient.collectDefaultMetrics();
+
+// Under cluster.js this makes the worker answer the primary's metrics requests
+if (cluster.isWorker) new promClient.AggregatorRegistry();
+
+const metrics = {
+  httpDuration: new promClient.Histogram({
+    name: 'chatnet_http_request_duration_seconds',
+    help: 'HTTP request latency by route',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+  }),
+  errors: new promClient.Counter({
+    name: 'chatnet_errors_total',
+    help: 'Error responses and socket error events by code',
+    labelNames: ['transport', 'code']
+  }),
+  messagesSent: new promClient.Counter({
+    name: 'chatnet_messages_sent_total',
+    help: 'Messages stored and delivered',
+    labelNames: ['type']
+  }),
+  socketConnections: new promClient.Counter({
+    name: 'chatnet_socket_connections_total',
+    help: 'Socket.io connections accepted'
+  }),
+  connectedSockets: new promClient.Gauge({
+    name: 'chatnet_connected_sockets',
+    help: 'Socket.io connections currently open on this instance'
+  }),
+  friendRequests: new promClient.Counter({
+    name: 'chatnet_friend_requests_total',
+    help: 'Friend request outcomes',
+    labelNames: ['outcome']
+  }),
+  queuedSends: new promClient.Gauge({
+    name: 'chatnet_queued_sends',
+    help: 'Socket sends waiting for MongoDB to come back'
+  })
+};
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+const requestIdFrom = (incoming) =>
+  (typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID());
+
+// Probes and scrapes would drown out everything else at info level
+const QUIET_PATHS = new Set(['/health', '/health/live', '/health/ready', '/metrics']);
+
+app.use((req, res, next) => {
+  req.id = requestIdFrom(req.get('X-Request-Id'));
+  res.set('X-Request-Id', req.id);
+  // Shutdown waits for these, and tells keep-alive clients to reconnect elsewhere
+  inFlight.http++;
+  res.once('close', () => inFlight.http--);
+  if (shuttingDown) res.set('Connection', 'close');
+
+  const endTimer = metrics.httpDuration.startTimer();
+  res.on('finish', () => {
+    // The matched route pattern, not the raw path, keeps label cardinality bounded
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const seconds = endTimer({ method: req.method, route, status: res.statusCode });
+
+    const log = QUIET_PATHS.has(req.path) ? logger.debug : logger.info;
+    log('HTTP request', {
+      requestId: req.id,
+      username: req.user && req.user.username,
+      method: req.method,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000)
+    });
+  });
+  next();
+});
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Room for per-device ciphertexts; each one is capped at MAX_MESSAGE_BYTES
+app.use(express.json({ limit: '1mb' }));
+
+// Entered after body parsing, whose stream callbacks would otherwise drop the context
+app.use((req, res, next) => requestContext.run({ requestId: req.id }, next));
 
 // Kết nối MongoDB
 
 const MONGODB_URI = process.env.MONGODB_URI;
-console.log('🔄 Connecting to MongoDB...');
-console.log('📝 MongoDB URI:', MONGODB_URI ? '✅ Provided' : '❌ Missing');
+const DB_CONNECT_TIMEOUT_MS = 5000;
+const DB_RETRY_MAX_DELAY_MS = 30 * 1000;
+
+// The first connection is retried with backoff until it works; after that the
+// driver reconnects by itself. Until then API routes answer 503.
+const connectDatabase = async (attempt = 1) => {
+  logger.info('Connecting to MongoDB', { uriProvided: !!MONGODB_URI, attempt });
+  try {
+    await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: DB_CONNECT_TIMEOUT_MS });
+    logger.info('Connected to MongoDB');
+  } catch (error) {
+    if (shuttingDown) return;
+    const retryInMs = Math.min(1000 * 2 ** (attempt - 1), DB_RETRY_MAX_DELAY_MS);
+    logger.error('MongoDB connection error; check MONGODB_URI in your .env file', { error, retryInMs });
+    setTimeout(() => connectDatabase(attempt + 1), retryInMs);
+  }
+};
 
-mongoose.connect(MONGODB_URI)
-.then(() => console.log('✅ Connected to MongoDB'))
-.catch(err => {
-  console.error('❌ MongoDB connection error:', err);
-  console.error('💡 Check your MONGODB_URI in .env file');
+mongoose.connection.on('disconnected', () => {
+  if (!shuttingDown) logger.warn('MongoDB disconnected');
 });
+mongoose.connection.on('reconnected', () => logger.info('MongoDB reconnected'));
 // Schema User
 const userSchema = new mongoose.Schema({
   username: { type: String, unique: true, required: true },
   password: { type: String, required: true },
   publicKey: String,
+  // Consecutive failed logins; reaching LOGIN_MAX_FAILURES locks the account for a while
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockedUntil: Date,
+  // Presence: last time the user's last device disconnected, plus a user-set status
+  lastSeen: Date,
+  presenceStatus: { type: String, enum: ['available', 'away', 'dnd'], default: 'available' },
+  statusText: { type: String, default: '' },
+  privacy: {
+    showLastSeen: { type: Boolean, default: true },
+    // Undiscoverable users only show up in search for friends or an exact username
+    discoverable: { type: Boolean, default: true }
+  },
+  // Public profile
+  displayName: { type: String, default: '' },
+  bio: { type: String, default: '' },
+  avatar: { type: mongoose.Schema.Types.ObjectId, ref: 'Attachment', index: { sparse: true } },
+  // Lowercased username and display name, for indexed prefix search
+  searchKeys: { type: [String], index: true },
+  // Set once the inbox summaries have been built from existing history
+  inboxIndexedAt: Date,
+  // TOTP second factor; secrets are only loaded when explicitly selected
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    // Generated by setup, promoted to `secret` once a code from it is verified
+    pendingSecret: { type: String, select: false },
+    recoveryCodeHashes: { type: [String], select: false },
+    // Highest TOTP time step accepted so far; older or equal steps are replays
+    lastUsedStep: Number,
+    enabledAt: Date
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
+userSchema.pre('save', function (next) {
+  this.searchKeys = [...new Set([this.username, this.displayName]
+    .filter(Boolean)
+    .map(key => key.toLowerCase()))];
+  next();
+});
+
 // Schema Message
+// 1:1 messages set `receiver`; group messages set `conversationId` instead
 const messageSchema = new mongoose.Schema({
   sender: { type: String, required: true },
-  receiver: { type: String, required: true },
-  encryptedMessage: { type: String, required: true },
-  timestamp: { type: Date, default: Date.now }
+  receiver: String,
+  conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation' },
+  // Either one ciphertext for everyone, or one per recipient device in `ciphertexts`
+  encryptedMessage: {
+    type: String,
+    required: function () {
+      return this.kind !== 'system' && !this.deletedAt &&
+        (!this.ciphertexts || this.ciphertexts.length === 0);
+    }
+  },
+  // System messages record conversation events (e.g. timer changes) and carry no ciphertext
+  kind: { type: String, enum: ['message', 'system'], default: 'message' },
+  system: {
+    event: String,
+    data: mongoose.Schema.Types.Mixed
+  },
+  ciphertexts: [{
+    username: { type: String, required: true },
+    deviceId: { type: String, required: true },
+    ciphertext: { type: String, required: true },
+    _id: false
+  }],
+  timestamp: { type: Date, default: Date.now },
+  // Message being replied to (always in the same conversation)
+  replyTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+  reactions: [{ username: String, emoji: String, reactedAt: Date, _id: false }],
+  attachments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Attachment' }],
+  // Sent to someone who blocked the sender: only the sender ever sees it
+  suppressed: { type: Boolean, default: false },
+  // One entry per recipient that acked delivery / read the message
+  deliveredTo: [{ username: String, at: Date, _id: false }],
+  readBy: [{ username: String, at: Date, _id: false }],
+  // Previous contents, oldest first; cleared when the message is recalled
+  editHistory: [{
+    encryptedMessage: String,
+    ciphertexts: [{ username: String, deviceId: String, ciphertext: String, _id: false }],
+    editedAt: Date,
+    _id: false
+  }],
+  editedAt: Date,
+  // Delete-for-me: users who hid this message from their own history
+  hiddenFor: [String],
+  // Delete-for-everyone: the message stays as a tombstone with no content
+  deletedAt: Date,
+  // Set when the conversation had a disappearing-message timer; the sweeper deletes it then
+  expiresAt: Date,
+  // Client-generated id: a retried send with the same one returns this message
+  clientMessageId: String
+}, {
+  // updatedAt moves on every edit, recall, reaction and receipt, so /api/sync can
+  // hand reconnecting clients everything that changed, not just what is new
+  timestamps: { createdAt: false, updatedAt: true }
 });
+
+// History is always read newest-first within one conversation
+messageSchema.index({ sender: 1, receiver: 1, timestamp: -1 });
+messageSchema.index({ conversationId: 1, timestamp: -1 });
+// /api/sync walks each of a user's conversations by last change
+messageSchema.index({ sender: 1, updatedAt: 1 });
+messageSchema.index({ receiver: 1, updatedAt: 1 });
+messageSchema.index({ conversationId: 1, updatedAt: 1 });
+// Attachment access checks and orphan sweeps look messages up by attachment id
+messageSchema.index({ attachments: 1 });
+// The disappearing-message sweeper scans by expiry
+messageSchema.index({ expiresAt: 1 }, { sparse: true });
+// Makes sends idempotent; messages sent without a client id aren't indexed
+messageSchema.index({ sender: 1, clientMessageId: 1 }, {
+  unique: true,
+  partialFilterExpression: { clientMessageId: { $type: 'string' } }
+});
+
+// Schema Attachment (a client-encrypted blob, uploaded in chunks)
+const attachmentSchema = new mongoose.Schema({
+  owner: { type: String, required: true },
+  size: { type: Number, required: true },
+  received: { type: Number, default: 0 },
+  contentType: String,
+  status: { type: String, enum: ['uploading', 'complete'], default: 'uploading' },
+  // Set while a chunk is being appended; claimed atomically so only one request
+  // (on any instance) writes at a time
+  chunkLockedAt: Date,
+  createdAt: { type: Date, default: Date.now, index: true },
+  completedAt: Date,
+  // Set once a message or avatar references it; the orphan sweep skips these
+  linkedAt: Date
+});
+
+// The orphan sweep only looks at old attachments nothing has linked to yet
+attachmentSchema.index({ linkedAt: 1, createdAt: 1 });
+// Per-user quota on unlinked uploads
+attachmentSchema.index({ owner: 1, linkedAt: 1 });
+
+// Schema DataExport (a JSON archive of one user's data, built in the background)
+const dataExportSchema = new mongoose.Schema({
+  username: { type: String, required: true, index: true },
+  // `cancelled` when the account is deleted before the archive is written
+  status: { type: String, enum: ['pending', 'building', 'complete', 'failed', 'cancelled'], default: 'pending' },
+  size: Number,
+  error: String,
+  createdAt: { type: Date, default: Date.now },
+  completedAt: Date,
+  // Bumped while an instance is building the archive; a stale one means it died
+  heartbeatAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: true }
+});
+
+// Schema Conversation (group chats; 1:1 chats stay implicit via sender/receiver)
+const conversationMemberSchema = new mongoose.Schema({
+  username: { type: String, required: true },
+  role: { type: String, enum: ['admin', 'member'], default: 'member' },
+  joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+  type: { type: String, enum: ['group'], default: 'group' },
+  name: { type: String, required: true },
+  createdBy: { type: String, required: true },
+  members: [conversationMemberSchema],
+  // Disappearing-message timer in seconds; 0 means off
+  disappearingSeconds: { type: Number, default: 0 }
+}, { timestamps: true });
+
+conversationSchema.index({ 'members.username': 1 });
+
+// Schema DirectChatSettings (per-pair settings for the otherwise implicit 1:1 chats)
+const directChatSettingsSchema = new mongoose.Schema({
+  // Both usernames, sorted, joined by ':' (see directChatKey)
+  key: { type: String, required: true, unique: true },
+  disappearingSeconds: { type: Number, default: 0 },
+  updatedBy: String
+}, { timestamps: true });
+
+// Schema Call (a call that is ringing or in progress; finished calls live on as system messages)
+const callSchema = new mongoose.Schema({
+  caller: { type: String, required: true },
+  callee: { type: String, required: true },
+  media: { type: String, enum: ['audio', 'video'], default: 'audio' },
+  // The callee blocked the caller: it only ever rings on the caller's side
+  suppressed: { type: Boolean, default: false },
+  state: { type: String, enum: ['ringing', 'active'], default: 'ringing' },
+  // Everyone the call makes busy; the unique index keeps anyone off two calls at once
+  participants: [String],
+  callerSocketId: { type: String, required: true },
+  calleeSocketId: String,
+  startedAt: { type: Date, default: Date.now },
+  answeredAt: Date
+});
+
+callSchema.index({ participants: 1 }, { unique: true });
+
+// Schema ConversationSummary (one inbox row per user per conversation)
+// 1:1 rows set `peer`, group rows set `conversationId`; kept current on every send and read
+const conversationSummarySchema = new mongoose.Schema({
+  owner: { type: String, required: true },
+  peer: String,
+  conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation' },
+  lastMessage: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+  lastMessageAt: { type: Date, required: true },
+  unreadCount: { type: Number, default: 0 }
+});
+
+conversationSummarySchema.index({ owner: 1, peer: 1, conversationId: 1 }, { unique: true });
+conversationSummarySchema.index({ owner: 1, lastMessageAt: -1 });
+conversationSummarySchema.index({ conversationId: 1 });
+// Finds the rows to fix when a last message is hidden, recalled or expires
+conversationSummarySchema.index({ lastMessage: 1 });
 // Schema Friend (danh bạ)
 const friendSchema = new mongoose.Schema({
   userId: { type: String, required: true },
@@ -59,19 +419,489 @@ const friendSchema = new mongoose.Schema({
     enum: ['pending', 'accepted', 'blocked'],
     default: 'pending'
   },
+  // A request sent to someone who blocked the sender: only the sender ever sees it
+  suppressed: { type: Boolean, default: false },
+  // Both usernames in sorted order, on pending and accepted rows only: a pair
+  // can have one request or friendship whichever side started it, while a
+  // block is per direction and leaves it unset
+  pairKey: String,
   createdAt: { type: Date, default: Date.now }
 });
 
+friendSchema.pre('validate', function (next) {
+  this.pairKey = this.status === 'blocked'
+    ? undefined
+    : [this.userId, this.friendUsername].sort().join(':');
+  next();
+});
+
+// Concurrent requests (either direction) can't both be stored
+friendSchema.index({ userId: 1, friendUsername: 1 }, { unique: true });
+friendSchema.index({ pairKey: 1 }, {
+  unique: true,
+  partialFilterExpression: { pairKey: { $type: 'string' } }
+});
+
+// Schema DeviceKeys (public E2E key material, one document per user device)
+const deviceKeysSchema = new mongoose.Schema({
+  username: { type: String, required: true },
+  deviceId: { type: String, required: true },
+  identityKey: { type: String, required: true },
+  signedPreKey: {
+    keyId: Number,
+    publicKey: String,
+    signature: String,
+    createdAt: Date
+  },
+  oneTimePreKeys: [{ keyId: Number, publicKey: String, _id: false }]
+}, { timestamps: true });
+
+deviceKeysSchema.index({ username: 1, deviceId: 1 }, { unique: true });
+
+// Schema Session (one per logged-in device, holds the rotating refresh token)
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  username: { type: String, required: true, index: true },
+  refreshTokenHash: { type: String, required: true, index: true },
+  // Hash of the token that was rotated out; seeing it again means the token leaked
+  previousTokenHash: { type: String, index: true },
+  deviceName: { type: String, default: 'Unknown device' },
+  userAgent: String,
+  ip: String,
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null }
+});
+
+// Let MongoDB drop sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 const Friend = mongoose.model('Friend', friendSchema);
 const User = mongoose.model('User', userSchema);
 const Message = mongoose.model('Message', messageSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const Conversation = mongoose.model('Conversation', conversationSchema);
+const ConversationSummary = mongoose.model('ConversationSummary', conversationSummarySchema);
+const DirectChatSettings = mongoose.model('DirectChatSettings', directChatSettingsSchema);
+const Call = mongoose.model('Call', callSchema);
+const DeviceKeys = mongoose.model('DeviceKeys', deviceKeysSchema);
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+// A user's devices may be connected to different instances, so who is online is
+// asked of the adapter: a user is online while any device has joined their room.
+// Remote sockets only carry `socket.data`, which is why it holds the username.
+const joinedSocketsOf = async (usernames) => {
+  // io.in([]) would target every socket
+  if (usernames.length === 0) return [];
+  const sockets = await io.in(usernames).fetchSockets();
+  return sockets.filter(socket => socket.data.joinedAt);
+};
+
+const onlineUsernames = async (usernames) =>
+  new Set((await joinedSocketsOf(usernames)).map(socket => socket.data.username));
+
+// The earliest device to join announces the user, so two devices joining at
+// once on different instances don't both stay quiet
+const isFirstDevice = async (socket) => {
+  const devices = await joinedSocketsOf([socket.data.username]);
+  return devices.every(device => device.id === socket.id ||
+    device.data.joinedAt > socket.data.joinedAt ||
+    (device.data.joinedAt === socket.data.joinedAt && device.id > socket.id));
+};
+
+// Called after the disconnecting socket has left its rooms
+const isLastDevice = async (username) => (await joinedSocketsOf([username])).length === 0;
+
+// Every device of a user shares the personal room named after them
+const emitToUser = (username, event, payload) => io.to(username).emit(event, payload);
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// ==================== ERRORS & VALIDATION ====================
+// Every error, REST or socket, carries a human `message` and a machine-readable `code`:
+//   REST:   { success: false, message, code, details? }
+//   Socket: { success: false, error, code, details? }
+
+const DEFAULT_ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// Error with an HTTP status that route handlers can pass straight to the client
+class ApiError extends Error {
+  constructor(status, message, code = DEFAULT_ERROR_CODES[status] || 'ERROR', details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const errorBody = (error) => ({
+  message: error.message,
+  code: error.code,
+  ...(error.details && { details: error.details })
+});
+
+// 503 telling the client when to try again
+class ServiceUnavailableError extends ApiError {
+  constructor(message, code, retryAfterSeconds = 5) {
+    super(503, message, code);
+    this.retryAfter = retryAfterSeconds;
+  }
+}
+
+const databaseUnavailable = () =>
+  new ServiceUnavailableError('Database temporarily unavailable', 'DATABASE_UNAVAILABLE');
+const serverShuttingDown = () =>
+  new ServiceUnavailableError('Server is shutting down', 'SERVER_SHUTTING_DOWN', 1);
+
+const DATABASE_UNAVAILABLE_ERRORS = new Set([
+  'MongoNetworkError',
+  'MongoNetworkTimeoutError',
+  'MongoNotConnectedError',
+  'MongoServerSelectionError',
+  'MongooseServerSelectionError',
+  'MongoTopologyClosedError'
+]);
+
+// Driver errors that mean MongoDB can't be reached, as opposed to a bad query
+const isDatabaseUnavailable = (error) => !!error && (
+  DATABASE_UNAVAILABLE_ERRORS.has(error.name) ||
+  /buffering timed out/.test(error.message) ||
+  (error instanceof ApiError && error.code === 'DATABASE_UNAVAILABLE')
+);
+
+// Outages surface as 503s rather than generic 500s
+const toClientError = (error) => (isDatabaseUnavailable(error) && !(error instanceof ApiError)
+  ? databaseUnavailable()
+  : error);
+
+// Send an ApiError to the client, anything else becomes a 500
+const handleRouteError = (res, caught, label) => {
+  const error = toClientError(caught);
+  metrics.errors.inc({ transport: 'http', code: error instanceof ApiError ? error.code : 'INTERNAL_ERROR' });
+  if (error instanceof ApiError) {
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    return res.status(error.status).json({ success: false, ...errorBody(error) });
+  }
+  logger.error(`${label} error`, { error });
+  res.status(500).json({ success: false, message: 'Internal server error', code: 'INTERNAL_ERROR' });
+};
+
+// Socket counterpart of handleRouteError: the payload for an `*_error` event
+const socketErrorPayload = (caught, label) => {
+  const error = toClientError(caught);
+  metrics.errors.inc({ transport: 'socket', code: error instanceof ApiError ? error.code : 'INTERNAL_ERROR' });
+  if (error instanceof ApiError) {
+    const { message, ...rest } = errorBody(error);
+    return { success: false, error: message, ...rest };
+  }
+  logger.error(`${label} error`, { error });
+  return { success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' };
+};
+
+// Shared schema building blocks
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.]{3,30}$/;
+const schemas = {
+  // Format rules apply to new accounts; lookups accept any existing username
+  newUsername: z.string().regex(USERNAME_PATTERN, 'Username must be 3-30 letters, digits, "_" or "."'),
+  username: z.string().min(1).max(64),
+  newPassword: z.string().min(8, 'Password must be at least 8 characters').max(128),
+  password: z.string().min(1).max(128),
+  objectId: z.string().regex(/^[a-f0-9]{24}$/i, 'Invalid id'),
+  clientMessageId: z.string().regex(/^[\w.:-]{1,128}$/, 'Client message id must be 1-128 letters, digits or "_.:-"'),
+  limit: z.coerce.number().int().positive().optional()
+};
+
+const formatIssues = (issues, where) => issues.map(issue => ({
+  path: [where, ...issue.path].filter(part => part !== undefined && part !== '').join('.'),
+  message: issue.message
+}));
+
+// Parse `value` with a zod schema or throw a VALIDATION_ERROR listing every problem
+const parseWith = (schema, value, where) => {
+  const result = schema.safeParse(value);
+  if (result.success) return result.data;
+
+  const details = formatIssues(result.error.issues, where);
+  throw new ApiError(400, `${details[0].path}: ${details[0].message}`, 'VALIDATION_ERROR', details);
+};
+
+// Express middleware: validate and replace req.params / req.query / req.body
+const validate = (routeSchemas) => (req, res, next) => {
+  try {
+    ['params', 'query', 'body'].forEach(part => {
+      if (routeSchemas[part]) req[part] = parseWith(routeSchemas[part], req[part], part);
+    });
+    next();
+  } catch (error) {
+    handleRouteError(res, error, 'Validation');
+  }
+};
+
+// ==================== AUTH ====================
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshTokenExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived access token bound to a session so it dies with it
+const signAccessToken = (userId, username, sessionId) => jwt.sign(
+  { userId, username, sid: sessionId },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Create a session for a fresh login and hand back both tokens
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+  const session = new Session({
+    userId: user._id,
+    username: user.username,
+    refreshTokenHash: hashToken(refreshToken),
+    deviceName: (req.body && req.body.deviceName) || 'Unknown device',
+    userAgent: req.headers['user-agent'],
+    ip: req.ip,
+    expiresAt: refreshTokenExpiry()
+  });
+
+  await session.save();
+
+  return {
+    session,
+    token: signAccessToken(user._id, user.username, session._id.toString()),
+    refreshToken
+  };
+};
+
+const isSessionActive = async (sessionId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  const session = await Session.findOne(
+    { _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } },
+    '_id'
+  );
+  return !!session;
+};
+
+// Revoke sessions matching `filter` and kick every socket they own
+const revokeSessions = async (filter) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }, '_id');
+  if (sessions.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map(session => session._id) } },
+    { revokedAt: new Date() }
+  );
+
+  sessions.forEach(session => {
+    const room = `session:${session._id}`;
+    io.to(room).emit('session_revoked', { sessionId: session._id });
+    io.in(room).disconnectSockets(true);
+  });
+
+  return sessions.length;
+};
+
+// Pull the raw token out of an "Authorization: Bearer <token>" header
+const extractBearerToken = (header) => {
+  if (!header || typeof header !== 'string') return null;
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Verify a JWT and return the acting user, or null if it is invalid/expired
+const verifyToken = (token) => {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    if (!payload.username || !payload.sid) return null;
+    return { userId: payload.userId, username: payload.username, sessionId: payload.sid };
+  } catch (error) {
+    return null;
+  }
+};
+
+// 🔐 Express middleware: every protected route gets req.user from the token
+const authenticate = async (req, res, next) => {
+  try {
+    const token = extractBearerToken(req.headers.authorization);
+    if (!token) {
+      throw new ApiError(401, 'Authentication required', 'UNAUTHORIZED');
+    }
+
+    const user = verifyToken(token);
+    if (!user) {
+      throw new ApiError(401, 'Invalid or expired token', 'INVALID_TOKEN');
+    }
+
+    if (!(await isSessionActive(user.sessionId))) {
+      throw new ApiError(401, 'Session has been revoked', 'SESSION_REVOKED');
+    }
+
+    req.user = user;
+    const context = requestContext.getStore();
+    if (context) context.username = user.username;
+    next();
+  } catch (error) {
+    handleRouteError(res, error, 'Session check');
+  }
+};
+
+// Reject requests that claim to act as someone other than the token owner.
+// Identity fields in body/query/params are optional; when present they must match.
+const isSelf = (req, claimedUsername) =>
+  claimedUsername === undefined || claimedUsername === req.user.username;
+
+const identityMismatch = () =>
+  new ApiError(403, 'You can only act as the authenticated user', 'IDENTITY_MISMATCH');
+
+const forbidden = (res) => handleRouteError(res, identityMismatch());
+
+// ==================== RATE LIMITING ====================
+// Token buckets keyed per user and per IP, shared by Express routes and socket
+// handlers; `perTarget` buckets are per user and the thing they act on (e.g. one
+// device's prekeys). Each rule refills `refillPerMinute` tokens up to `capacity`.
+// Override any rule with RATE_LIMITS, e.g. {"message":{"perUser":{"capacity":60}}}.
+
+const DEFAULT_RATE_LIMITS = {
+  login: { perIp: { capacity: 20, refillPerMinute: 10 } },
+  register: { perIp: { capacity: 5, refillPerMinute: 1 } },
+  refresh: { perIp: { capacity: 30, refillPerMinute: 30 } },
+  message: {
+    perUser: { capacity: 30, refillPerMinute: 60 },
+    perIp: { capacity: 100, refillPerMinute: 200 }
+  },
+  friendRequest: {
+    perUser: { capacity: 10, refillPerMinute: 2 },
+    perIp: { capacity: 30, refillPerMinute: 6 }
+  },
+  // Password checks outside /api/login (password change, account deletion)
+  accountSecurity: { perUser: { capacity: 5, refillPerMinute: 1 } },
+  dataExport: { perUser: { capacity: 3, refillPerMinute: 1 / 60 } },
+  callInvite: { perUser: { capacity: 10, refillPerMinute: 10 } },
+  attachmentUpload: {
+    perUser: { capacity: 20, refillPerMinute: 10 },
+    perIp: { capacity: 60, refillPerMinute: 30 }
+  },
+  // Each claim uses up one of the target device's one-time prekeys
+  prekeyClaim: {
+    perUser: { capacity: 60, refillPerMinute: 30 },
+    perTarget: { capacity: 5, refillPerMinute: 1 }
+  }
+};
+
+const parseRateLimitOverrides = () => {
+  if (!process.env.RATE_LIMITS) return {};
+  try {
+    return JSON.parse(process.env.RATE_LIMITS);
+  } catch (error) {
+    logger.error('RATE_LIMITS is not valid JSON, using defaults');
+    return {};
+  }
+};
+
+const RATE_LIMITS = (() => {
+  const overrides = parseRateLimitOverrides();
+  return Object.fromEntries(Object.entries(DEFAULT_RATE_LIMITS).map(([name, rule]) => {
+    const override = overrides[name] || {};
+    return [name, {
+      perUser: rule.perUser && { ...rule.perUser, ...override.perUser },
+      perIp: rule.perIp && { ...rule.perIp, ...override.perIp },
+      perTarget: rule.perTarget && { ...rule.perTarget, ...override.perTarget }
+    }];
+  }));
+})();
+
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Buckets live in this process unless setupAdapter() finds other instances to
+// share them with: Redis when REDIS_URL is set, the cluster primary under cluster.js
+let rateLimitStore = new MemoryRateLimitStore();
+
+class RateLimitError extends ApiError {
+  constructor(retryAfterSeconds, message = 'Too many requests, please slow down', code = 'RATE_LIMITED') {
+    super(429, message, code);
+    this.retryAfter = retryAfterSeconds;
+  }
+}
+
+// Take one token from every bucket the rule defines, or from none of them when
+// any is empty, so requests refused per IP don't use up the user's own bucket.
+// Throws RateLimitError when refused.
+const enforceRateLimit = async (ruleName, { username, ip, target }) => {
+  const rule = RATE_LIMITS[ruleName];
+  const buckets = [];
+  if (rule.perUser && username) buckets.push({ key: `${ruleName}:user:${username}`, limit: rule.perUser });
+  if (rule.perIp && ip) buckets.push({ key: `${ruleName}:ip:${ip}`, limit: rule.perIp });
+  if (rule.perTarget && username && target) {
+    buckets.push({ key: `${ruleName}:target:${username}:${target}`, limit: rule.perTarget });
+  }
+  if (buckets.length === 0) return;
+
+  let result;
+  try {
+    result = await rateLimitStore.consume(buckets);
+  } catch (error) {
+    // An unreachable shared store shouldn't take every route down with it
+    logger.error('Rate limit store error', { error, rule: ruleName });
+    return;
+  }
+  if (!result.allowed) {
+    throw new RateLimitError(Math.ceil(result.retryAfterMs / 1000));
+  }
+};
 
-// Store connected users
-const connectedUsers = new Map();
+// Express middleware; put it after `authenticate` so per-user buckets apply.
+// `targetOf(req)` names what a perTarget bucket is keyed on.
+const rateLimit = (ruleName, targetOf) => async (req, res, next) => {
+  try {
+    await enforceRateLimit(ruleName, {
+      username: req.user && req.user.username,
+      ip: req.ip,
+      target: targetOf && targetOf(req)
+    });
+    next();
+  } catch (error) {
+    handleRouteError(res, error, 'Rate limit');
+  }
+};
 
 // ==================== API ROUTES ====================
 
-// Health check endpoint
+const READINESS_PING_TIMEOUT_MS = 2000;
+
+// 'ok' only when MongoDB answers a ping, so a hung connection counts as down
+const checkDatabase = async () => {
+  if (mongoose.connection.readyState !== 1) return 'disconnected';
+  try {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('ping timed out')), READINESS_PING_TIMEOUT_MS);
+    });
+    await Promise.race([mongoose.connection.db.admin().ping(), timeout]).finally(() => clearTimeout(timer));
+    return 'ok';
+  } catch (error) {
+    logger.warn('Database ping failed', { error });
+    return 'unreachable';
+  }
+};
+
+// Health check endpoint (kept for existing monitors; see /health/live and /health/ready)
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'OK', 
@@ -81,6 +911,47 @@ app.get('/health', (req, res) => {
   });
 });
 
+// 💓 LIVENESS: the process is up and serving requests; restart it if this fails
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'OK', timestamp: new Date() });
+});
+
+// 🚦 READINESS: 503 while MongoDB is down or the server is shutting down,
+// so load balancers route around this instance
+app.get('/health/ready', async (req, res) => {
+  const checks = {
+    database: await checkDatabase(),
+    server: shuttingDown ? 'shutting_down' : 'ok'
+  };
+  const ready = Object.values(checks).every(check => check === 'ok');
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'READY' : 'NOT_READY',
+    timestamp: new Date(),
+    checks
+  });
+});
+
+// 📈 PROMETHEUS METRICS (set METRICS_TOKEN to require "Authorization: Bearer <token>")
+app.get('/metrics', async (req, res) => {
+  try {
+    const { METRICS_TOKEN } = process.env;
+    if (METRICS_TOKEN) {
+      const given = Buffer.from(extractBearerToken(req.headers.authorization) || '');
+      const expected = Buffer.from(METRICS_TOKEN);
+      const matches = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+      if (!matches) {
+        throw new ApiError(401, 'Invalid metrics token', 'UNAUTHORIZED');
+      }
+    }
+
+    res.set('Content-Type', promClient.register.contentType);
+    res.send(await promClient.register.metrics());
+  } catch (error) {
+    handleRouteError(res, error, 'Metrics');
+  }
+});
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({ 
@@ -89,33 +960,86 @@ app.get('/', (req, res) => {
     endpoints: [
       'POST /api/register - User registration',
       'POST /api/login - User login',
-      'GET /api/users - Get all users',
-      'GET /api/messages - Get messages between users',
-      'POST /api/messages - Send message'
+      'POST /api/auth/refresh - Refresh access token',
+      'POST /api/auth/logout - Logout current session',
+      'GET /api/sessions - List active sessions',
+      'DELETE /api/sessions/:sessionId - Revoke a session',
+      'GET /api/users?q= - Search users (friends first, paginated)',
+      'GET/PATCH /api/me - My profile and privacy settings',
+      'GET /api/conversations - Inbox with last message and unread counts',
+      'GET /api/conversations/timer - Disappearing-message timer for a chat',
+      'PUT /api/conversations/timer - Set the disappearing-message timer',
+      'POST /api/auth/2fa - Finish a login with a two-factor code',
+      'POST /api/me/2fa/setup|enable|disable|recovery-codes - Manage two-factor auth',
+      'POST /api/me/password - Change password',
+      'DELETE /api/me - Delete account',
+      'POST /api/me/exports - Export my data',
+      'GET /api/messages - Get messages between users (paginated)',
+      'POST /api/messages - Send message (optional Idempotency-Key header)',
+      'POST /api/groups - Create group',
+      'GET /api/groups - List my groups',
+      'GET/POST /api/groups/:groupId/messages - Group messages',
+      'POST /api/messages/read - Mark conversation read',
+      'GET /api/sync - Catch up on everything new or changed since a timestamp',
+      'PUT /api/keys/devices/:deviceId - Upload device keys',
+      'GET /api/keys/:username - List a user\'s device keys',
+      'POST /api/keys/:username/devices/:deviceId/bundle - Claim a prekey bundle',
+      'GET/POST /api/blocks - List/block users',
+      'DELETE /api/blocks/:username - Unblock user',
+      'GET/PATCH /api/presence - Friends\' presence / set my status',
+      'GET /api/friend-requests/outgoing - Outgoing friend requests',
+      'DELETE /api/friend-requests/:requestId - Cancel friend request',
+      'DELETE /api/friends/:username - Unfriend',
+      'PATCH /api/messages/:messageId - Edit message',
+      'DELETE /api/messages/:messageId?scope=me|everyone - Delete message',
+      'POST /api/messages/:messageId/reactions - Add reaction',
+      'DELETE /api/messages/:messageId/reactions/:emoji - Remove reaction',
+      'POST /api/attachments - Start an attachment upload',
+      'PUT /api/attachments/:attachmentId/content - Upload a chunk',
+      'GET /api/attachments/:attachmentId/content - Download an attachment',
+      'GET /health/live - Liveness check',
+      'GET /health/ready - Readiness check (fails while MongoDB is down)',
+      'GET /metrics - Prometheus metrics'
     ]
   });
 });
 
+// Everything below needs MongoDB: answer 503 at once instead of letting requests
+// pile up behind a dead connection
+app.use((req, res, next) => {
+  if (shuttingDown) return handleRouteError(res, serverShuttingDown());
+  if (mongoose.connection.readyState !== 1) return handleRouteError(res, databaseUnavailable());
+  next();
+});
+
+const authSchemas = {
+  register: z.object({
+    username: schemas.newUsername,
+    password: schemas.newPassword,
+    publicKey: z.string().max(4096).optional()
+  }),
+  login: z.object({
+    username: schemas.username,
+    password: schemas.password,
+    deviceName: z.string().max(100).optional()
+  }),
+  refresh: z.object({
+    refreshToken: z.string().min(1).max(256)
+  }),
+  sessionParams: z.object({
+    sessionId: schemas.objectId
+  })
+};
+
 // 🔐 REGISTER ENDPOINT
-app.post('/api/register', async (req, res) => {
+app.post('/api/register', rateLimit('register'), validate({ body: authSchemas.register }), async (req, res) => {
   try {
     const { username, password, publicKey } = req.body;
 
-    // Validate input
-    if (!username || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Username and password are required' 
-      });
-    }
-
     // Check if user exists
     const existingUser = await User.findOne({ username });
     if (existingUser) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Username already exists' 
-      });
+      throw new ApiError(400, 'Username already exists', 'USERNAME_TAKEN');
     }
 
     // Hash password
@@ -138,320 +1062,864 @@ app.post('/api/register', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Register error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error' 
-    });
+    handleRouteError(res, error, 'Register');
   }
 });
 
+// Compared against when the username doesn't exist, so an unknown user costs
+// the same bcrypt time as a known one
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+const isLocked = (user) => !!user.lockedUntil && user.lockedUntil > new Date();
+
+// Temporary lockout after repeated failures
+const assertNotLocked = (user) => {
+  if (isLocked(user)) {
+    throw new RateLimitError(
+      Math.ceil((user.lockedUntil - Date.now()) / 1000),
+      'Too many failed login attempts, try again later',
+      'ACCOUNT_LOCKED'
+    );
+  }
+};
+
+// Wrong passwords and wrong 2FA codes share one counter
+const recordFailedLogin = async (user) => {
+  const failed = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (failed.failedLoginAttempts >= LOGIN_MAX_FAILURES) {
+    await User.updateOne({ _id: user._id }, {
+      failedLoginAttempts: 0,
+      lockedUntil: new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000)
+    });
+    logger.warn('Account locked after repeated failed logins', { account: user.username, failures: LOGIN_MAX_FAILURES });
+  }
+};
+
+// Clear the failure counter and start a session for this device
+const completeLogin = async (user, req, res) => {
+  if (user.failedLoginAttempts || user.lockedUntil) {
+    await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lockedUntil: null });
+  }
+
+  const { session, token, refreshToken } = await createSession(user, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId: session._id,
+    user: { id: user._id, username: user.username }
+  });
+};
+
 // 🔐 LOGIN ENDPOINT
-app.post('/api/login', async (req, res) => {
+// With 2FA enabled this only returns a challenge token; POST /api/auth/2fa finishes the login.
+app.post('/api/login', rateLimit('login'), validate({ body: authSchemas.login }), async (req, res) => {
   try {
     const { username, password } = req.body;
 
-    // Validate input
-    if (!username || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Username and password are required' 
-      });
-    }
-
-    // Find user
+    // Unknown users, locked accounts and wrong passwords all get the same answer
+    // after the same bcrypt work, so neither reveals which usernames exist
     const user = await User.findOne({ username });
-    if (!user) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid username or password' 
-      });
+    const isPasswordValid = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || isLocked(user) || !isPasswordValid) {
+      // Failures while locked don't extend the lockout
+      if (user && !isLocked(user)) await recordFailedLogin(user);
+      throw new ApiError(400, 'Invalid username or password', 'INVALID_CREDENTIALS');
     }
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid username or password' 
+    // The failure counter is only cleared once the second factor passes too
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor code required',
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user),
+        expiresIn: TWO_FACTOR_CHALLENGE_TTL
       });
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user._id, username: user.username },
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '24h' }
+    await completeLogin(user, req, res);
+
+  } catch (error) {
+    handleRouteError(res, error, 'Login');
+  }
+});
+
+// 🔄 REFRESH ACCESS TOKEN (rotates the refresh token)
+app.post('/api/auth/refresh', rateLimit('refresh'), validate({ body: authSchemas.refresh }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+    const nextRefreshToken = generateRefreshToken();
+
+    // One conditional update, so of two refreshes racing with the same token
+    // only one rotates it; the other is handled as a replay below
+    const session = await Session.findOneAndUpdate(
+      { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        $set: {
+          previousTokenHash: tokenHash,
+          refreshTokenHash: hashToken(nextRefreshToken),
+          lastUsedAt: now,
+          expiresAt: refreshTokenExpiry()
+        }
+      },
+      { new: true }
     );
 
+    if (!session) {
+      // A rotated-out token is being replayed: assume it was stolen and kill the session
+      const reused = await Session.findOne({ previousTokenHash: tokenHash });
+      if (reused) {
+        await revokeSessions({ _id: reused._id });
+        logger.warn('Refresh token reuse detected, session revoked', { account: reused.username, sessionId: reused._id });
+        throw new ApiError(401, 'Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+      }
+
+      if (await Session.exists({ refreshTokenHash: tokenHash })) {
+        throw new ApiError(401, 'Session has expired or been revoked', 'SESSION_REVOKED');
+      }
+      throw new ApiError(401, 'Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
     res.json({
       success: true,
-      message: 'Login successful',
-      token,
-      user: { id: user._id, username: user.username }
+      token: signAccessToken(session.userId, session.username, session._id.toString()),
+      refreshToken: nextRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      sessionId: session._id
     });
 
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error' 
-    });
+    handleRouteError(res, error, 'Refresh token');
   }
 });
 
-// 👥 GET USERS ENDPOINT
-app.get('/api/users', async (req, res) => {
+// 🚪 LOGOUT (revokes the current session)
+app.post('/api/auth/logout', authenticate, async (req, res) => {
   try {
-    const { exclude } = req.query;
-    let query = {};
-    
-    if (exclude) {
-      query.username = { $ne: exclude };
-    }
-    
-    const users = await User.find(query, 'username createdAt publicKey')
-      .sort({ createdAt: -1 });
+    await revokeSessions({ _id: req.user.sessionId });
 
     res.json({
       success: true,
-      users: users.map(user => ({
-        id: user._id,
-        username: user.username,
-        publicKey: user.publicKey,
-        createdAt: user.createdAt
-      }))
+      message: 'Logged out successfully'
     });
   } catch (error) {
-    console.error('Get users error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error' 
-    });
+    handleRouteError(res, error, 'Logout');
   }
 });
 
-// 💬 GET MESSAGES BETWEEN TWO USERS
-app.get('/api/messages', async (req, res) => {
+// 📱 LIST ACTIVE SESSIONS
+app.get('/api/sessions', authenticate, async (req, res) => {
   try {
-    const { user1, user2 } = req.query;
-    
-    if (!user1 || !user2) {
-      return res.status(400).json({
-        success: false,
-        message: 'Both users are required'
-      });
-    }
-    
-    const messages = await Message.find({
-      $or: [
-        { sender: user1, receiver: user2 },
-        { sender: user2, receiver: user1 }
-      ]
-    }).sort({ timestamp: 1 });
-    
+    const sessions = await Session.find({
+      username: req.user.username,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
     res.json({
       success: true,
-      messages: messages.map(msg => ({
-        _id: msg._id,
-        sender: msg.sender,
-        receiver: msg.receiver,
-        encryptedMessage: msg.encryptedMessage,
-        timestamp: msg.timestamp
+      sessions: sessions.map(session => ({
+        id: session._id,
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.toString() === req.user.sessionId
       }))
     });
   } catch (error) {
-    console.error('Get messages error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error' 
-    });
+    handleRouteError(res, error, 'Get sessions');
   }
 });
 
-// 📨 SEND MESSAGE (HTTP API)
-app.post('/api/messages', async (req, res) => {
+// 📱 REVOKE ALL OTHER SESSIONS
+app.delete('/api/sessions', authenticate, async (req, res) => {
   try {
-    const { sender, receiver, encryptedMessage } = req.body;
-    
-    if (!sender || !receiver || !encryptedMessage) {
-      return res.status(400).json({
-        success: false,
-        message: 'Sender, receiver and message are required'
-      });
-    }
-    
-    const message = new Message({
-      sender,
-      receiver,
-      encryptedMessage,
-      timestamp: new Date()
+    const revoked = await revokeSessions({
+      username: req.user.username,
+      _id: { $ne: req.user.sessionId }
     });
-    
-    await message.save();
 
-    // Notify receiver via socket if online
-    const receiverSocketId = connectedUsers.get(receiver);
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit('new_message', {
-        _id: message._id,
-        sender,
-        receiver,
-        encryptedMessage,
-        timestamp: message.timestamp
-      });
-    }
-    
     res.json({
       success: true,
-      message: 'Message sent successfully',
-      messageId: message._id
+      message: 'Other sessions revoked',
+      revoked
     });
   } catch (error) {
-    console.error('Send message error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error' 
-    });
+    handleRouteError(res, error, 'Revoke sessions');
   }
 });
-// ==================== FRIEND SYSTEM APIs ====================
-
-// 👥 ADD FRIEND
-// ==================== FRIEND SYSTEM APIs (NEW ENDPOINTS) ====================
 
-// 📩 SEND FRIEND REQUEST (new endpoint)
-app.post('/api/friend-requests/send', async (req, res) => {
+// 📱 REVOKE ONE SESSION
+app.delete('/api/sessions/:sessionId', authenticate, validate({ params: authSchemas.sessionParams }), async (req, res) => {
   try {
-    const { fromUsername, toUsername } = req.body;
-
-    if (!fromUsername || !toUsername) {
-      return res.status(400).json({
-        success: false,
-        message: 'fromUsername and toUsername are required'
-      });
-    }
+    const { sessionId } = req.params;
 
-    // Cannot add yourself
-    if (fromUsername === toUsername) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot send friend request to yourself'
-      });
-    }
+    const revoked = await revokeSessions({
+      _id: sessionId,
+      username: req.user.username
+    });
 
-    // Check if user exists
-    const toUser = await User.findOne({ username: toUsername });
-    if (!toUser) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+    if (revoked === 0) {
+      throw new ApiError(404, 'Session not found', 'NOT_FOUND');
     }
 
-    // Check if already friends or request exists
-    const existingFriend = await Friend.findOne({ 
-      userId: fromUsername, 
-      friendUsername: toUsername 
+    res.json({
+      success: true,
+      message: 'Session revoked'
     });
-    
-    if (existingFriend) {
-      return res.status(400).json({
-        success: false,
-        message: existingFriend.status === 'pending' 
-          ? 'Friend request already sent' 
-          : 'Already friends'
-      });
-    }
+  } catch (error) {
+    handleRouteError(res, error, 'Revoke session');
+  }
+});
 
-    // Check if reverse request exists
-    const reverseRequest = await Friend.findOne({
-      userId: toUsername,
-      friendUsername: fromUsername,
-      status: 'pending'
-    });
+// ==================== MESSAGE PAGINATION ====================
 
-    if (reverseRequest) {
-      return res.status(400).json({
-        success: false,
-        message: 'This user has already sent you a friend request'
-      });
-    }
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const SYNC_PAGE_SIZE = 500;
 
-    // Create friend request
-    const friendRequest = new Friend({
-      userId: fromUsername,
-      friendUsername: toUsername,
-      friendId: toUser._id,
-      status: 'pending'
-    });
+// `limit` has already been checked by schemas.limit
+const parseLimit = (limit, fallback = DEFAULT_PAGE_SIZE, max = MAX_PAGE_SIZE) =>
+  limit === undefined ? fallback : Math.min(limit, max);
 
-    await friendRequest.save();
+// Query fields shared by every paginated history route
+const pageQueryShape = {
+  before: schemas.objectId.optional(),
+  after: schemas.objectId.optional(),
+  limit: schemas.limit
+};
+
+// Messages are ordered by (timestamp, _id); a cursor is the _id of a message in `scope`
+const cursorFilter = async (scope, messageId, direction) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    throw new ApiError(400, 'Invalid cursor', 'INVALID_CURSOR');
+  }
+
+  const cursor = await Message.findOne({ _id: messageId, ...scope }, 'timestamp');
+  if (!cursor) {
+    throw new ApiError(400, 'Invalid cursor', 'INVALID_CURSOR');
+  }
+
+  const op = direction === 'before' ? '$lt' : '$gt';
+  return {
+    $or: [
+      { timestamp: { [op]: cursor.timestamp } },
+      { timestamp: cursor.timestamp, _id: { [op]: cursor._id } }
+    ]
+  };
+};
+
+// One page of a conversation, always returned oldest-first.
+// No cursor: the newest page. `before`: older than that message. `after`: newer.
+const paginateMessages = async (scope, { before, after, limit }) => {
+  if (before && after) {
+    throw new ApiError(400, 'Use either before or after, not both', 'VALIDATION_ERROR');
+  }
+
+  const pageSize = parseLimit(limit);
+  const filter = { $and: [scope] };
+  if (before) filter.$and.push(await cursorFilter(scope, before, 'before'));
+  if (after) filter.$and.push(await cursorFilter(scope, after, 'after'));
+
+  const order = after ? 1 : -1;
+  const page = await Message.find(filter)
+    .sort({ timestamp: order, _id: order })
+    .limit(pageSize + 1)
+    .populate('replyTo', REPLY_PREVIEW_FIELDS);
+
+  const hasMore = page.length > pageSize;
+  const messages = page.slice(0, pageSize);
+  if (!after) messages.reverse();
 
+  return {
+    messages,
+    pageInfo: {
+      hasMore,
+      oldestId: messages.length ? messages[0]._id : null,
+      newestId: messages.length ? messages[messages.length - 1]._id : null
+    }
+  };
+};
+
+// 💬 GET MESSAGES BETWEEN TWO USERS
+app.get('/api/messages', authenticate, validate({
+  query: z.object({
+    user1: schemas.username.optional(),
+    user2: schemas.username,
+    ...pageQueryShape
+  })
+}), async (req, res) => {
+  try {
+    if (!isSelf(req, req.query.user1)) {
+      return forbidden(res);
+    }
+
+    const user1 = req.user.username;
+    const { user2, before, after, limit } = req.query;
+    
+    const { messages, pageInfo } = await paginateMessages({
+      $or: [
+        { sender: user1, receiver: user2 },
+        { sender: user2, receiver: user1 }
+      ],
+      ...visibleTo(user1)
+    }, { before, after, limit });
+    
     res.json({
       success: true,
-      message: 'Friend request sent successfully',
-      requestId: friendRequest._id
+      messages: messages.map(msg => ({
+        ...serializeDirectMessage(msg),
+        ...directReceiptFields(msg)
+      })),
+      pageInfo
     });
+  } catch (error) {
+    handleRouteError(res, error, 'Get messages');
+  }
+});
+
+const MAX_CIPHERTEXTS = 100;
+const MAX_MESSAGE_BYTES = Number(process.env.MAX_MESSAGE_BYTES) || 64 * 1024;
+
+// Ciphertexts are opaque, so the limit is on encoded size rather than characters
+const ciphertextString = z.string().min(1).refine(
+  value => Buffer.byteLength(value) <= MAX_MESSAGE_BYTES,
+  `Message must be at most ${MAX_MESSAGE_BYTES} bytes`
+);
+
+// A message carries `encryptedMessage`, per-device `ciphertexts`, or both
+const messageContentShape = {
+  encryptedMessage: ciphertextString.optional(),
+  ciphertexts: z.array(z.object({
+    username: schemas.username,
+    deviceId: z.string().min(1).max(128),
+    ciphertext: ciphertextString
+  })).max(MAX_CIPHERTEXTS).optional()
+};
+
+const hasMessageContent = {
+  check: ({ encryptedMessage, ciphertexts }) => !!encryptedMessage || (ciphertexts || []).length > 0,
+  params: { message: 'Message is required', path: ['encryptedMessage'] }
+};
+
+// Body of a new message; `attachments` ids are checked by resolveAttachments
+const messageSendShape = {
+  ...messageContentShape,
+  replyTo: schemas.objectId.nullish(),
+  attachments: z.array(schemas.objectId).optional(),
+  clientMessageId: schemas.clientMessageId.optional()
+};
+
+const messageSchemas = {
+  direct: z.object({
+    sender: schemas.username.optional(),
+    receiver: schemas.username,
+    ...messageSendShape
+  }).refine(hasMessageContent.check, hasMessageContent.params),
+  group: z.object(messageSendShape).refine(hasMessageContent.check, hasMessageContent.params)
+};
+
+// Pick the content fields from an already-validated payload
+const parseMessagePayload = ({ encryptedMessage, ciphertexts }) => ({
+  encryptedMessage,
+  ciphertexts: ciphertexts || []
+});
+
+const serializeCiphertexts = (message) => message.ciphertexts.map(
+  ({ username, deviceId, ciphertext }) => ({ username, deviceId, ciphertext })
+);
+
+// Fields loaded for the parent when a message is a reply
+const REPLY_PREVIEW_FIELDS = 'sender encryptedMessage ciphertexts timestamp deletedAt';
+
+// Enough of the parent for a quote bubble; `replyTo` may be populated or a bare id
+const replyPreview = (replyTo) => {
+  if (!replyTo) return null;
+  if (!replyTo.sender) return { _id: replyTo };
+  return {
+    _id: replyTo._id,
+    sender: replyTo.sender,
+    encryptedMessage: replyTo.deletedAt ? null : replyTo.encryptedMessage || null,
+    ciphertexts: replyTo.deletedAt ? [] : serializeCiphertexts(replyTo),
+    timestamp: replyTo.timestamp,
+    deleted: !!replyTo.deletedAt
+  };
+};
+
+// [{ emoji, count, usernames }] in the order each emoji was first used
+const summarizeReactions = (reactions) => {
+  const byEmoji = new Map();
+  reactions.forEach(({ emoji, username }) => {
+    if (!byEmoji.has(emoji)) byEmoji.set(emoji, []);
+    byEmoji.get(emoji).push(username);
+  });
+  return [...byEmoji].map(([emoji, usernames]) => ({ emoji, count: usernames.length, usernames }));
+};
+
+// Edit/recall state, reply preview and reactions shared by every message shape
+const messageStateFields = (message) => ({
+  kind: message.kind || 'message',
+  system: message.kind === 'system' ? { event: message.system.event, data: message.system.data || {} } : null,
+  expiresAt: message.expiresAt || null,
+  updatedAt: message.updatedAt || message.timestamp,
+  attachments: message.attachments || [],
+  replyTo: replyPreview(message.replyTo),
+  reactions: summarizeReactions(message.reactions),
+  editedAt: message.editedAt || null,
+  deleted: !!message.deletedAt,
+  deletedAt: message.deletedAt || null
+});
+
+// A reply must point at a message the sender can see in the same conversation
+const resolveReplyTo = async (replyTo, scope) => {
+  if (replyTo === undefined || replyTo === null) return undefined;
+
+  const parent = await Message.findOne({ _id: replyTo, ...scope }, '_id');
+  if (!parent) {
+    throw new ApiError(404, 'Replied-to message not found', 'MESSAGE_NOT_FOUND');
+  }
+  return parent._id;
+};
+
+const serializeDirectMessage = (message) => ({
+  _id: message._id,
+  sender: message.sender,
+  receiver: message.receiver,
+  encryptedMessage: message.encryptedMessage || null,
+  ciphertexts: serializeCiphertexts(message),
+  timestamp: message.timestamp,
+  ...messageStateFields(message)
+});
+
+// Messages to a user you blocked are refused; messages from someone who
+// blocked you are stored as suppressed so the sender can't tell
+const checkDirectBlock = async (sender, receiver) => {
+  const { hasBlocked, isBlockedBy } = await getBlockState(sender, receiver);
+  if (hasBlocked) {
+    throw new ApiError(403, 'Unblock this user to send them messages', 'USER_BLOCKED');
+  }
+  return { suppressed: isBlockedBy };
+};
+
+// Hide messages withheld from `username` because they blocked the sender,
+// messages they deleted for themselves, and expired messages the sweeper hasn't reached yet
+const visibleTo = (username) => ({
+  $nor: [
+    { suppressed: true, sender: { $ne: username } },
+    { hiddenFor: username },
+    { expiresAt: { $lte: new Date() } }
+  ]
+});
+
+// Push a saved 1:1 message to every device of both participants,
+// except the socket it came from (which gets its own ack)
+const deliverDirectMessage = (message, originSocketId) => {
+  let target = message.suppressed
+    ? io.to(message.sender)
+    : io.to(message.receiver).to(message.sender);
+  if (originSocketId) target = target.except(originSocketId);
+  target.emit('new_message', serializeDirectMessage(message));
+};
 
+// A retried send (same sender and clientMessageId) gets the stored message back
+// instead of creating a second one. `scope` names the conversation the retry is
+// for; reusing a client id in another conversation is a conflict.
+const findDuplicateSend = async (sender, clientMessageId, scope) => {
+  if (!clientMessageId) return null;
+
+  const message = await Message.findOne({ sender, clientMessageId })
+    .populate('replyTo', REPLY_PREVIEW_FIELDS);
+  if (!message) return null;
+
+  const sameConversation = Object.entries(scope).every(([field, value]) => String(message[field]) === String(value));
+  if (!sameConversation) {
+    throw new ApiError(409, 'This client message id was already used in another conversation', 'CLIENT_MESSAGE_ID_CONFLICT');
+  }
+  return message;
+};
+
+// Save a new message; when a concurrent retry with the same client id won the
+// race, resolve to that one instead
+const saveSentMessage = async (message, scope) => {
+  try {
+    await message.save();
+    await linkAttachments(message.attachments);
+    return null;
   } catch (error) {
-    console.error('Send friend request error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error' 
-    });
+    if (error.code !== 11000 || !message.clientMessageId) throw error;
+    const duplicate = await findDuplicateSend(message.sender, message.clientMessageId, scope);
+    if (!duplicate) throw error;
+    return duplicate;
   }
+};
+
+// What the sender gets back for a send, whether it was new or a duplicate
+const sentMessagePayload = ({ message, duplicate }) => ({
+  success: true,
+  messageId: message._id,
+  clientMessageId: message.clientMessageId || null,
+  duplicate,
+  message: serializeMessage(message)
 });
 
-// 📩 RESPOND TO FRIEND REQUEST (new endpoint)
-app.post('/api/friend-requests/respond', async (req, res) => {
+// POST routes also take the client message id as an Idempotency-Key header
+const withIdempotencyKey = (req) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return req.body;
+
+  const clientMessageId = parseWith(schemas.clientMessageId, key, 'Idempotency-Key');
+  if (req.body.clientMessageId !== undefined && req.body.clientMessageId !== clientMessageId) {
+    throw new ApiError(400, 'Idempotency-Key does not match clientMessageId', 'IDEMPOTENCY_KEY_MISMATCH');
+  }
+  return { ...req.body, clientMessageId };
+};
+
+// Store and deliver a 1:1 message validated by messageSchemas.direct; shared by REST and sockets.
+// Resolves to { message, duplicate }; a duplicate is not delivered again.
+const sendDirectMessage = async (sender, payload, originSocketId) => {
+  const { receiver, clientMessageId } = payload;
+
+  const existing = await findDuplicateSend(sender, clientMessageId, { receiver });
+  if (existing) return { message: existing, duplicate: true };
+
+  if (!(await User.exists({ username: receiver }))) {
+    throw new ApiError(404, 'User not found', 'USER_NOT_FOUND');
+  }
+
+  const content = parseMessagePayload(payload);
+  const { suppressed } = await checkDirectBlock(sender, receiver);
+  const replyTo = await resolveReplyTo(payload.replyTo, {
+    $or: [
+      { sender, receiver },
+      { sender: receiver, receiver: sender }
+    ],
+    ...visibleTo(sender)
+  });
+
+  const attachments = await resolveAttachments(payload.attachments, sender);
+  const timestamp = new Date();
+
+  const message = new Message({
+    sender,
+    receiver,
+    ...content,
+    attachments,
+    replyTo,
+    suppressed,
+    timestamp,
+    expiresAt: expiryFor(await directTimer(sender, receiver), timestamp),
+    clientMessageId
+  });
+
+  const raced = await saveSentMessage(message, { receiver });
+  if (raced) return { message: raced, duplicate: true };
+
+  metrics.messagesSent.inc({ type: 'direct' });
+  await message.populate('replyTo', REPLY_PREVIEW_FIELDS);
+
+  deliverDirectMessage(message, originSocketId);
+  recordInInbox(message).catch(error => logger.error('Inbox update error', { error }));
+
+  return { message, duplicate: false };
+};
+
+// 📨 SEND MESSAGE (HTTP API)
+app.post('/api/messages', authenticate, rateLimit('message'), validate({ body: messageSchemas.direct }), async (req, res) => {
   try {
-    const { requestId, response } = req.body;
+    if (!isSelf(req, req.body.sender)) {
+      return forbidden(res);
+    }
 
-    if (!requestId || !response) {
-      return res.status(400).json({
-        success: false,
-        message: 'requestId and response are required'
-      });
+    // Notify receiver's devices and mirror to the sender's other devices.
+    // Clients may pass X-Socket-Id so the device that sent it is skipped,
+    // and an Idempotency-Key so a retried request doesn't send twice.
+    const { message, duplicate } = await sendDirectMessage(
+      req.user.username,
+      withIdempotencyKey(req),
+      req.get('X-Socket-Id')
+    );
+    
+    res.json({
+      success: true,
+      message: duplicate ? 'Message was already sent' : 'Message sent successfully',
+      messageId: message._id,
+      clientMessageId: message.clientMessageId || null,
+      duplicate,
+      data: serializeMessage(message)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Send message');
+  }
+});
+// ==================== FRIEND SERVICE ====================
+// Shared by the REST routes and the socket handlers so both transports apply
+// the same rules and emit the same real-time events.
+
+const serializeFriendRequest = (request) => ({
+  _id: request._id,
+  fromUsername: request.userId,
+  toUsername: request.friendUsername,
+  status: request.status,
+  createdAt: request.createdAt
+});
+
+// Tell both sides about a new friendship, and start sharing presence
+const emitFriendshipAccepted = (request) => {
+  emitToUser(request.userId, 'friend_request_accepted', {
+    requestId: request._id,
+    friendUsername: request.friendUsername
+  });
+  emitToUser(request.friendUsername, 'friend_request_accepted', {
+    requestId: request._id,
+    friendUsername: request.userId
+  });
+
+  sharePresence(request.userId, request.friendUsername)
+    .catch(error => logger.error('Share presence error', { error }));
+};
+
+// Rows stored before pairKey existed
+const backfillFriendPairKeys = async () => {
+  const relations = await Friend.find({ pairKey: { $exists: false }, status: { $ne: 'blocked' } });
+  for (const relation of relations) {
+    try {
+      await relation.save();
+    } catch (error) {
+      logger.warn('Duplicate friend request left without pairKey', { error, relationId: relation._id });
     }
+  }
+};
 
-    const validResponses = ['accepted', 'rejected'];
-    if (!validResponses.includes(response)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Response must be "accepted" or "rejected"'
-      });
+mongoose.connection.once('open', () => {
+  backfillFriendPairKeys().catch(error => logger.error('Friend pairKey backfill error', { error }));
+});
+
+const getFriendUsernames = async (username) =>
+  (await Friend.find({
+    $or: [{ userId: username }, { friendUsername: username }],
+    status: 'accepted'
+  }, 'userId friendUsername'))
+    .map(friend => (friend.userId === username ? friend.friendUsername : friend.userId));
+
+// Returns { status: 'pending' | 'accepted', request }.
+// If the other user already asked us, their request is accepted instead.
+const sendFriendRequest = async (fromUsername, toUsername) => {
+  // Cannot add yourself
+  if (fromUsername === toUsername) {
+    throw new ApiError(400, 'Cannot send friend request to yourself', 'SELF_FRIEND_REQUEST');
+  }
+
+  // Check if user exists
+  const toUser = await User.findOne({ username: toUsername }, '_id');
+  if (!toUser) {
+    throw new ApiError(404, 'User not found', 'USER_NOT_FOUND');
+  }
+
+  // Blocks: refuse if we blocked them; if they blocked us the request is stored
+  // suppressed, so it shows up (and can be cancelled) like any other outgoing one
+  const { hasBlocked, isBlockedBy } = await getBlockState(fromUsername, toUsername);
+  if (hasBlocked) {
+    throw new ApiError(403, 'Unblock this user to send them a friend request', 'USER_BLOCKED');
+  }
+
+  const existing = await Friend.find({
+    $or: [
+      { userId: fromUsername, friendUsername: toUsername },
+      { userId: toUsername, friendUsername: fromUsername }
+    ]
+  });
+
+  if (existing.some(relation => relation.status === 'accepted')) {
+    throw new ApiError(400, 'Already friends', 'ALREADY_FRIENDS');
+  }
+  if (existing.some(relation => relation.userId === fromUsername && relation.status === 'pending')) {
+    throw new ApiError(400, 'Friend request already sent', 'FRIEND_REQUEST_EXISTS');
+  }
+
+  // They already asked us: treat this as accepting their request
+  const reverseRequest = existing.find(relation =>
+    relation.userId === toUsername && relation.status === 'pending');
+  if (reverseRequest) {
+    reverseRequest.status = 'accepted';
+    reverseRequest.suppressed = false;
+    await reverseRequest.save();
+    emitFriendshipAccepted(reverseRequest);
+    metrics.friendRequests.inc({ outcome: 'auto_accepted' });
+    return { status: 'accepted', request: reverseRequest };
+  }
+
+  const friendRequest = new Friend({
+    userId: fromUsername,
+    friendUsername: toUsername,
+    friendId: toUser._id,
+    status: 'pending',
+    suppressed: isBlockedBy
+  });
+
+  try {
+    await friendRequest.save();
+  } catch (error) {
+    // The other request of a concurrent pair was stored first
+    if (error.code === 11000) {
+      throw new ApiError(400, 'Friend request already sent', 'FRIEND_REQUEST_EXISTS');
     }
+    throw error;
+  }
 
-    const friendRequest = await Friend.findById(requestId);
-    
-    if (!friendRequest) {
-      return res.status(404).json({
-        success: false,
-        message: 'Friend request not found'
-      });
+  if (!isBlockedBy) emitToUser(toUsername, 'new_friend_request', serializeFriendRequest(friendRequest));
+  emitToUser(fromUsername, 'outgoing_friend_request', serializeFriendRequest(friendRequest));
+  metrics.friendRequests.inc({ outcome: isBlockedBy ? 'suppressed' : 'sent' });
+
+  return { status: 'pending', request: friendRequest };
+};
+
+// Only the recipient may answer; `response` is 'accepted' or 'rejected'
+const respondToFriendRequest = async (username, requestId, response) => {
+  const friendRequest = await Friend.findById(requestId);
+  if (!friendRequest || friendRequest.status === 'blocked' || friendRequest.suppressed) {
+    throw new ApiError(404, 'Friend request not found', 'FRIEND_REQUEST_NOT_FOUND');
+  }
+
+  if (friendRequest.friendUsername !== username) {
+    throw new ApiError(403, 'Only the recipient can respond to this friend request', 'FORBIDDEN');
+  }
+
+  if (friendRequest.status !== 'pending') {
+    throw new ApiError(400, 'Friend request already processed', 'FRIEND_REQUEST_PROCESSED');
+  }
+
+  if (response === 'accepted') {
+    friendRequest.status = 'accepted';
+    await friendRequest.save();
+    emitFriendshipAccepted(friendRequest);
+  } else {
+    // Remove the request if rejected
+    await Friend.findByIdAndDelete(friendRequest._id);
+    emitToUser(friendRequest.userId, 'friend_request_rejected', {
+      requestId: friendRequest._id,
+      byUsername: username
+    });
+    emitToUser(username, 'friend_request_rejected', {
+      requestId: friendRequest._id,
+      byUsername: username
+    });
+  }
+
+  metrics.friendRequests.inc({ outcome: response });
+  return friendRequest;
+};
+
+// Only the sender may withdraw a request that is still pending
+const cancelFriendRequest = async (username, requestId) => {
+  const friendRequest = await Friend.findById(requestId);
+  if (!friendRequest || friendRequest.status === 'blocked') {
+    throw new ApiError(404, 'Friend request not found', 'FRIEND_REQUEST_NOT_FOUND');
+  }
+  if (friendRequest.userId !== username) {
+    throw new ApiError(403, 'Only the sender can cancel this friend request', 'FORBIDDEN');
+  }
+  if (friendRequest.status !== 'pending') {
+    throw new ApiError(400, 'Friend request already processed', 'FRIEND_REQUEST_PROCESSED');
+  }
+
+  await Friend.findByIdAndDelete(friendRequest._id);
+
+  const payload = { requestId: friendRequest._id, fromUsername: username };
+  if (!friendRequest.suppressed) emitToUser(friendRequest.friendUsername, 'friend_request_cancelled', payload);
+  emitToUser(username, 'friend_request_cancelled', payload);
+  metrics.friendRequests.inc({ outcome: 'cancelled' });
+};
+
+const removeFriend = async (username, friendUsername) => {
+  const { deletedCount } = await Friend.deleteMany({
+    status: 'accepted',
+    $or: [
+      { userId: username, friendUsername },
+      { userId: friendUsername, friendUsername: username }
+    ]
+  });
+
+  if (deletedCount === 0) {
+    throw new ApiError(404, 'Friend not found', 'FRIEND_NOT_FOUND');
+  }
+
+  emitToUser(friendUsername, 'friend_removed', { username });
+  emitToUser(username, 'friend_removed', { username: friendUsername });
+};
+
+// Payloads for both the REST routes and the socket events.
+// `fromUsername` / `currentUser` are legacy identity fields checked against the token.
+const friendSchemas = {
+  send: z.object({
+    fromUsername: schemas.username.optional(),
+    toUsername: schemas.username
+  }),
+  respond: z.object({
+    currentUser: schemas.username.optional(),
+    requestId: schemas.objectId,
+    response: z.enum(['accepted', 'rejected'])
+  }),
+  request: z.object({ requestId: schemas.objectId }),
+  user: z.object({ username: schemas.username })
+};
+
+// ==================== FRIEND SYSTEM APIs ====================
+
+// 📩 SEND FRIEND REQUEST
+app.post('/api/friend-requests/send', authenticate, rateLimit('friendRequest'), validate({
+  body: friendSchemas.send
+}), async (req, res) => {
+  try {
+    if (!isSelf(req, req.body.fromUsername)) {
+      return forbidden(res);
     }
 
-    if (friendRequest.status !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'Friend request already processed'
-      });
+    const { status, request } = await sendFriendRequest(req.user.username, req.body.toUsername);
+
+    res.json({
+      success: true,
+      message: status === 'accepted'
+        ? 'Friend request accepted'
+        : 'Friend request sent successfully',
+      status,
+      requestId: request._id
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Send friend request');
+  }
+});
+
+// 📩 RESPOND TO FRIEND REQUEST
+app.post('/api/friend-requests/respond', authenticate, validate({ body: friendSchemas.respond }), async (req, res) => {
+  try {
+    if (!isSelf(req, req.body.currentUser)) {
+      return forbidden(res);
     }
 
+    const { requestId, response } = req.body;
+    const friendRequest = await respondToFriendRequest(req.user.username, requestId, response);
+
     if (response === 'accepted') {
-      friendRequest.status = 'accepted';
-      await friendRequest.save();
-      
       res.json({
         success: true,
         message: 'Friend request accepted',
         friend: friendRequest
       });
     } else {
-      // Remove the request if rejected
-      await Friend.findByIdAndDelete(requestId);
-      
       res.json({
         success: true,
         message: 'Friend request rejected'
@@ -459,22 +1927,54 @@ app.post('/api/friend-requests/respond', async (req, res) => {
     }
 
   } catch (error) {
-    console.error('Respond to friend request error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error' 
+    handleRouteError(res, error, 'Respond to friend request');
+  }
+});
+
+// 📩 CANCEL OUTGOING FRIEND REQUEST
+app.delete('/api/friend-requests/:requestId', authenticate, validate({ params: friendSchemas.request }), async (req, res) => {
+  try {
+    await cancelFriendRequest(req.user.username, req.params.requestId);
+
+    res.json({
+      success: true,
+      message: 'Friend request cancelled'
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Cancel friend request');
+  }
+});
+
+// 📩 GET OUTGOING FRIEND REQUESTS
+app.get('/api/friend-requests/outgoing', authenticate, async (req, res) => {
+  try {
+    const outgoingRequests = await Friend.find({
+      userId: req.user.username,
+      status: 'pending'
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      outgoingRequests: outgoingRequests.map(serializeFriendRequest)
     });
+  } catch (error) {
+    handleRouteError(res, error, 'Get outgoing requests');
   }
 });
 
-// 📩 GET PENDING FRIEND REQUESTS (new endpoint)
-app.get('/api/friend-requests/pending/:username', async (req, res) => {
+// 📩 GET PENDING FRIEND REQUESTS
+app.get('/api/friend-requests/pending/:username', authenticate, validate({ params: friendSchemas.user }), async (req, res) => {
   try {
-    const { username } = req.params;
+    if (!isSelf(req, req.params.username)) {
+      return forbidden(res);
+    }
+
+    const { username } = req.user;
 
     const pendingRequests = await Friend.find({ 
       friendUsername: username,
-      status: 'pending' 
+      status: 'pending',
+      suppressed: { $ne: true }
     }).sort({ createdAt: -1 });
 
     res.json({
@@ -488,18 +1988,18 @@ app.get('/api/friend-requests/pending/:username', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Get pending requests error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error' 
-    });
+    handleRouteError(res, error, 'Get pending requests');
   }
 });
 
-// 👥 GET FRIENDS LIST (updated endpoint)
-app.get('/api/friends/:username', async (req, res) => {
+// 👥 GET FRIENDS LIST
+app.get('/api/friends/:username', authenticate, validate({ params: friendSchemas.user }), async (req, res) => {
   try {
-    const { username } = req.params;
+    if (!isSelf(req, req.params.username)) {
+      return forbidden(res);
+    }
+
+    const { username } = req.user;
 
     const friends = await Friend.find({ 
       $or: [
@@ -523,248 +2023,4355 @@ app.get('/api/friends/:username', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Get friends error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error' 
+    handleRouteError(res, error, 'Get friends');
+  }
+});
+// 👥 UNFRIEND
+app.delete('/api/friends/:username', authenticate, validate({ params: friendSchemas.user }), async (req, res) => {
+  try {
+    await removeFriend(req.user.username, req.params.username);
+
+    res.json({
+      success: true,
+      message: 'Friend removed'
     });
+  } catch (error) {
+    handleRouteError(res, error, 'Remove friend');
   }
 });
-// ==================== SOCKET.IO HANDLERS ====================
 
-// ==================== SOCKET.IO HANDLERS ====================
+// ==================== BLOCKING ====================
+// A block is a Friend document { userId: blocker, friendUsername: blocked, status: 'blocked' }.
+// The blocked user is never told: their sends look successful but are withheld.
 
-io.on('connection', (socket) => {
-  console.log('🔗 User connected:', socket.id);
+// Which of the two users has blocked the other
+const getBlockState = async (username, otherUsername) => {
+  const blocks = await Friend.find({
+    status: 'blocked',
+    $or: [
+      { userId: username, friendUsername: otherUsername },
+      { userId: otherUsername, friendUsername: username }
+    ]
+  }, 'userId');
 
-  // User joins their personal room
-  socket.on('join', (username) => {
-    socket.join(username);
-    connectedUsers.set(username, socket.id);
-    console.log(`👤 User ${username} joined room`);
-    
-    // Broadcast to others that this user is online
-    socket.broadcast.emit('user_online', username);
+  return {
+    hasBlocked: blocks.some(block => block.userId === username),
+    isBlockedBy: blocks.some(block => block.userId === otherUsername)
+  };
+};
+
+// The subset of `peers` that `username` has blocked or is blocked by
+const blockedPeersOf = async (username, peers) => {
+  if (peers.length === 0) return new Set();
+  const blocks = await Friend.find({
+    status: 'blocked',
+    $or: [
+      { userId: username, friendUsername: { $in: peers } },
+      { userId: { $in: peers }, friendUsername: username }
+    ]
+  }, 'userId friendUsername');
+  return new Set(blocks.map(block => (block.userId === username ? block.friendUsername : block.userId)));
+};
+
+const blockUser = async (blocker, username) => {
+  if (blocker === username) {
+    throw new ApiError(400, 'Cannot block yourself', 'SELF_BLOCK');
+  }
+
+  const target = await User.findOne({ username }, '_id');
+  if (!target) {
+    throw new ApiError(404, 'User not found', 'USER_NOT_FOUND');
+  }
+
+  // Only friends were ever sent our presence
+  const wereFriends = await Friend.exists({
+    status: 'accepted',
+    $or: [
+      { userId: blocker, friendUsername: username },
+      { userId: username, friendUsername: blocker }
+    ]
   });
 
-  // Handle sending messages via socket
-  socket.on('send_message', async (data) => {
-    try {
-      const { sender, receiver, encryptedMessage } = data;
-      
-      console.log(`📨 Message from ${sender} to ${receiver}`);
-      
-      // Save to database
-      const message = new Message({
-        sender,
-        receiver,
-        encryptedMessage,
-        timestamp: new Date()
-      });
-      
-      await message.save();
-      
-      // Send to receiver if online
-      const receiverSocketId = connectedUsers.get(receiver);
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit('new_message', {
-          _id: message._id,
-          sender,
-          receiver,
-          encryptedMessage,
-          timestamp: message.timestamp
-        });
-      }
-      
-      // Send confirmation to sender
-      socket.emit('message_sent', { success: true, messageId: message._id });
-      
-    } catch (error) {
-      console.error('Error sending message:', error);
-      socket.emit('message_sent', { success: false, error: error.message });
-    }
+  // Drop friendship and pending requests in both directions, but keep
+  // the other user's own block of us if there is one
+  await Friend.deleteMany({
+    $or: [
+      { userId: blocker, friendUsername: username },
+      { userId: username, friendUsername: blocker, status: { $ne: 'blocked' } }
+    ]
   });
 
-  // ==================== FRIEND REQUEST SOCKET EVENTS ====================
+  const block = new Friend({
+    userId: blocker,
+    friendUsername: username,
+    friendId: target._id,
+    status: 'blocked'
+  });
+  await block.save();
 
-  // Listen for new friend requests
-  socket.on('send_friend_request', async (data) => {
-    try {
-      const { fromUsername, toUsername } = data;
-      
-      console.log(`📩 Friend request from ${fromUsername} to ${toUsername}`);
-      
-      // Check if user exists
-      const toUser = await User.findOne({ username: toUsername });
-      if (!toUser) {
-        socket.emit('friend_request_error', { error: 'User not found' });
-        return;
-      }
+  // Keep the blocker's other devices in sync. A former friend sees us go
+  // offline; anyone else gets nothing, since any event would give the block away.
+  emitToUser(blocker, 'user_blocked', { username, blockedAt: block.createdAt });
+  if (wereFriends) emitToUser(username, 'user_offline', blocker);
 
-      // Check if request already exists
-      const existingRequest = await Friend.findOne({
-        userId: fromUsername,
-        friendUsername: toUsername
-      });
-      
-      if (existingRequest) {
-        socket.emit('friend_request_error', { 
-          error: existingRequest.status === 'pending' 
-            ? 'Friend request already sent' 
-            : 'Already friends' 
-        });
-        return;
-      }
+  return block;
+};
 
-      // Create friend request
-      const friendRequest = new Friend({
-        userId: fromUsername,
-        friendUsername: toUsername,
-        friendId: toUser._id,
-        status: 'pending'
-      });
+const unblockUser = async (blocker, username) => {
+  const block = await Friend.findOneAndDelete({
+    userId: blocker,
+    friendUsername: username,
+    status: 'blocked'
+  });
 
-      await friendRequest.save();
-
-      // Notify the receiver if online
-      const receiverSocketId = connectedUsers.get(toUsername);
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit('new_friend_request', {
-          _id: friendRequest._id,
-          fromUsername: fromUsername,
-          toUsername: toUsername,
-          createdAt: friendRequest.createdAt
-        });
-        
-        console.log(`✅ Notified ${toUsername} about new friend request`);
-      }
+  if (!block) {
+    throw new ApiError(404, 'User is not blocked', 'NOT_BLOCKED');
+  }
 
-      // Send confirmation to sender
-      socket.emit('friend_request_sent', { 
+  // Unblocking doesn't restore the friendship, so presence stays hidden
+  emitToUser(blocker, 'user_unblocked', { username });
+};
+
+// 🚫 BLOCK USER
+app.post('/api/blocks', authenticate, validate({ body: friendSchemas.user }), async (req, res) => {
+  try {
+    const block = await blockUser(req.user.username, req.body.username);
+
+    res.json({
+      success: true,
+      message: 'User blocked',
+      blocked: { username: block.friendUsername, blockedAt: block.createdAt }
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Block user');
+  }
+});
+
+// 🚫 UNBLOCK USER
+app.delete('/api/blocks/:username', authenticate, validate({ params: friendSchemas.user }), async (req, res) => {
+  try {
+    await unblockUser(req.user.username, req.params.username);
+
+    res.json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Unblock user');
+  }
+});
+
+// 🚫 LIST BLOCKED USERS
+app.get('/api/blocks', authenticate, async (req, res) => {
+  try {
+    const blocks = await Friend.find({ userId: req.user.username, status: 'blocked' })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      blocked: blocks.map(block => ({
+        username: block.friendUsername,
+        blockedAt: block.createdAt
+      }))
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Get blocked users');
+  }
+});
+
+// ==================== PRESENCE ====================
+// Presence only ever goes to accepted friends. `user_online` / `user_offline`
+// carry just the username; `presence_updated` carries the full state.
+
+const PRESENCE_STATUSES = ['available', 'away', 'dnd'];
+const MAX_STATUS_TEXT_LENGTH = 140;
+
+const PRESENCE_FIELDS = 'username lastSeen presenceStatus statusText privacy';
+
+// What `viewer` may see of `user`; last-seen is hidden from everyone but the owner when private.
+// `online` is the set from onlineUsernames().
+const serializePresence = (user, viewer, online) => {
+  const showLastSeen = user.username === viewer || user.privacy.showLastSeen;
+  return {
+    username: user.username,
+    online: online.has(user.username),
+    status: user.presenceStatus,
+    statusText: user.statusText,
+    lastSeen: showLastSeen ? user.lastSeen || null : null
+  };
+};
+
+// Push `username`'s current presence to every friend (and their own other devices)
+const broadcastPresence = async (username) => {
+  const user = await User.findOne({ username }, PRESENCE_FIELDS);
+  if (!user) return;
+
+  const friends = await getFriendUsernames(username);
+  const online = await onlineUsernames([username]);
+  [...friends, username].forEach(target =>
+    emitToUser(target, 'presence_updated', serializePresence(user, target, online)));
+};
+
+// Two users just became friends: each gets the other's presence
+const sharePresence = async (username, friendUsername) => {
+  const users = await User.find({ username: { $in: [username, friendUsername] } }, PRESENCE_FIELDS);
+  const online = await onlineUsernames([username, friendUsername]);
+  users.forEach(user => {
+    const viewer = user.username === username ? friendUsername : username;
+    emitToUser(viewer, 'presence_updated', serializePresence(user, viewer, online));
+  });
+};
+
+// First device connected: tell friends this user is online
+const announceOnline = async (username) => {
+  const friends = await getFriendUsernames(username);
+  friends.forEach(friend => emitToUser(friend, 'user_online', username));
+  await broadcastPresence(username);
+};
+
+// Last device gone: persist last-seen, then tell friends
+const announceOffline = async (username) => {
+  await User.updateOne({ username }, { lastSeen: new Date() });
+  const friends = await getFriendUsernames(username);
+  friends.forEach(friend => emitToUser(friend, 'user_offline', username));
+  await broadcastPresence(username);
+};
+
+const setPresence = async (username, { status, statusText, showLastSeen }) => {
+  const update = {};
+  if (status !== undefined) update.presenceStatus = status;
+  if (statusText !== undefined) update.statusText = statusText;
+  if (showLastSeen !== undefined) update['privacy.showLastSeen'] = showLastSeen;
+
+  const user = await User.findOneAndUpdate({ username }, update, { new: true, projection: PRESENCE_FIELDS });
+  if (!user) {
+    throw new ApiError(404, 'User not found', 'USER_NOT_FOUND');
+  }
+
+  await broadcastPresence(username);
+  return user;
+};
+
+const presenceSchemas = {
+  update: z.object({
+    status: z.enum(PRESENCE_STATUSES).optional(),
+    statusText: z.string().trim().max(MAX_STATUS_TEXT_LENGTH).optional(),
+    showLastSeen: z.boolean().optional()
+  })
+};
+
+// 🟢 FRIENDS' PRESENCE (clients call this on connect, then follow the socket events)
+app.get('/api/presence', authenticate, async (req, res) => {
+  try {
+    const { username } = req.user;
+    const friends = await getFriendUsernames(username);
+    const users = await User.find({ username: { $in: friends } }, PRESENCE_FIELDS)
+      .sort({ username: 1 });
+
+    const me = await User.findOne({ username }, PRESENCE_FIELDS);
+    const online = await onlineUsernames([...friends, username]);
+
+    res.json({
+      success: true,
+      me: me && {
+        ...serializePresence(me, username, online),
+        showLastSeen: me.privacy.showLastSeen
+      },
+      presence: users.map(user => serializePresence(user, username, online))
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Get presence');
+  }
+});
+
+// 🟢 SET MY STATUS / LAST-SEEN PRIVACY
+app.patch('/api/presence', authenticate, validate({ body: presenceSchemas.update }), async (req, res) => {
+  try {
+    const user = await setPresence(req.user.username, req.body);
+    const online = await onlineUsernames([user.username]);
+
+    res.json({
+      success: true,
+      message: 'Presence updated',
+      presence: {
+        ...serializePresence(user, req.user.username, online),
+        showLastSeen: user.privacy.showLastSeen
+      }
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Update presence');
+  }
+});
+
+// ==================== PROFILES & USER SEARCH ====================
+
+const MAX_DISPLAY_NAME_LENGTH = 64;
+const MAX_BIO_LENGTH = 500;
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+
+const serializeProfile = (user) => ({
+  id: user._id,
+  username: user.username,
+  displayName: user.displayName || '',
+  bio: user.bio || '',
+  avatar: user.avatar || null,
+  publicKey: user.publicKey,
+  createdAt: user.createdAt
+});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Users registered before search existed have no searchKeys yet
+const backfillSearchKeys = async () => {
+  const users = await User.find({ searchKeys: { $exists: false } }, 'username displayName');
+  for (const user of users) {
+    await user.save();
+  }
+};
+
+mongoose.connection.once('open', () => {
+  backfillSearchKeys().catch(error => logger.error('Search key backfill error', { error }));
+});
+
+// Search results are ranked friends first, then an exact username match, then
+// everyone else, alphabetically within a rank. The cursor is the last row's
+// { rank, username }, base64url-encoded.
+const encodeSearchCursor = (row) =>
+  Buffer.from(JSON.stringify({ rank: row.rank, username: row.username })).toString('base64url');
+
+const decodeSearchCursor = (cursor) => {
+  try {
+    const { rank, username } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (Number.isInteger(rank) && typeof username === 'string') return { rank, username };
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new ApiError(400, 'Invalid cursor', 'INVALID_CURSOR');
+};
+
+const searchUsers = async (username, { q, limit, cursor }) => {
+  const query = q.toLowerCase();
+  const pageSize = parseLimit(limit, DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+
+  // Only users the searcher blocked drop out. Someone who blocked the searcher
+  // still shows up, or their absence would give the block away.
+  const [friends, blocks] = await Promise.all([
+    getFriendUsernames(username),
+    Friend.find({ status: 'blocked', userId: username }, 'friendUsername')
+  ]);
+  const hidden = blocks.map(block => block.friendUsername);
+
+  const pipeline = [
+    {
+      $match: {
+        searchKeys: { $regex: `^${escapeRegex(query)}` },
+        username: { $nin: [username, ...hidden] },
+        $or: [
+          { 'privacy.discoverable': { $ne: false } },
+          { username: { $in: friends } },
+          { username: { $regex: `^${escapeRegex(query)}$`, $options: 'i' } }
+        ]
+      }
+    },
+    {
+      $addFields: {
+        rank: {
+          $cond: [
+            { $in: ['$username', friends] }, 0,
+            { $cond: [{ $eq: [{ $toLower: '$username' }, query] }, 1, 2] }
+          ]
+        }
+      }
+    }
+  ];
+
+  if (cursor) {
+    const after = decodeSearchCursor(cursor);
+    pipeline.push({
+      $match: {
+        $or: [
+          { rank: { $gt: after.rank } },
+          { rank: after.rank, username: { $gt: after.username } }
+        ]
+      }
+    });
+  }
+
+  pipeline.push(
+    { $sort: { rank: 1, username: 1 } },
+    { $limit: pageSize + 1 },
+    { $project: { username: 1, displayName: 1, bio: 1, avatar: 1, publicKey: 1, createdAt: 1, rank: 1 } }
+  );
+
+  const rows = await User.aggregate(pipeline);
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+
+  return {
+    users: page.map(row => ({ ...serializeProfile(row), isFriend: row.rank === 0 })),
+    pageInfo: {
+      hasMore,
+      nextCursor: hasMore ? encodeSearchCursor(page[page.length - 1]) : null
+    }
+  };
+};
+
+// Avatars must be the user's own, fully uploaded attachment
+const resolveAvatar = async (attachmentId, username) => {
+  if (attachmentId === null) return null;
+  const attachment = await loadOwnAttachment(attachmentId, username);
+  if (attachment.status !== 'complete') {
+    throw new ApiError(400, 'Attachments must be fully uploaded by the sender', 'ATTACHMENT_NOT_READY');
+  }
+  return attachment._id;
+};
+
+const updateProfile = async (username, { displayName, bio, avatar, privacy }) => {
+  const user = await User.findOne({ username });
+  if (!user) {
+    throw new ApiError(404, 'User not found', 'USER_NOT_FOUND');
+  }
+
+  if (displayName !== undefined) user.displayName = displayName;
+  if (bio !== undefined) user.bio = bio;
+  const previousAvatar = user.avatar;
+  if (avatar !== undefined) user.avatar = await resolveAvatar(avatar, username);
+  if (privacy) {
+    Object.entries(privacy).forEach(([key, value]) => {
+      if (value !== undefined) user.privacy[key] = value;
+    });
+  }
+  await user.save();
+
+  if (avatar !== undefined) {
+    await linkAttachments([user.avatar]);
+    await unlinkAttachments([previousAvatar]);
+  }
+
+  // Friends (and the user's other devices) refresh their copy of the profile
+  const profile = serializeProfile(user);
+  const friends = await getFriendUsernames(username);
+  [...friends, username].forEach(target => emitToUser(target, 'profile_updated', profile));
+
+  if (privacy && privacy.showLastSeen !== undefined) {
+    await broadcastPresence(username);
+  }
+
+  return user;
+};
+
+const serializeOwnProfile = (user) => ({
+  ...serializeProfile(user),
+  privacy: {
+    showLastSeen: user.privacy.showLastSeen,
+    discoverable: user.privacy.discoverable
+  }
+});
+
+const profileSchemas = {
+  search: z.object({
+    // Required, so paging through results can't list every discoverable user
+    q: z.string().trim().min(1, 'Search query is required').max(64),
+    limit: schemas.limit,
+    cursor: z.string().max(512).optional()
+  }),
+  update: z.object({
+    displayName: z.string().trim().max(MAX_DISPLAY_NAME_LENGTH).optional(),
+    bio: z.string().max(MAX_BIO_LENGTH).optional(),
+    avatar: schemas.objectId.nullable().optional(),
+    privacy: z.object({
+      showLastSeen: z.boolean().optional(),
+      discoverable: z.boolean().optional()
+    }).optional()
+  })
+};
+
+// 👤 MY PROFILE
+app.get('/api/me', authenticate, async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.user.username });
+    if (!user) {
+      throw new ApiError(404, 'User not found', 'USER_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      user: serializeOwnProfile(user)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Get profile');
+  }
+});
+
+// 👤 UPDATE MY PROFILE
+app.patch('/api/me', authenticate, validate({ body: profileSchemas.update }), async (req, res) => {
+  try {
+    const user = await updateProfile(req.user.username, req.body);
+
+    res.json({
+      success: true,
+      message: 'Profile updated',
+      user: serializeOwnProfile(user)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Update profile');
+  }
+});
+
+// 👥 SEARCH USERS (?q= prefix of username or display name, friends first)
+app.get('/api/users', authenticate, validate({ query: profileSchemas.search }), async (req, res) => {
+  try {
+    const { users, pageInfo } = await searchUsers(req.user.username, req.query);
+
+    res.json({
+      success: true,
+      users,
+      pageInfo
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Search users');
+  }
+});
+
+// ==================== GROUP CONVERSATIONS ====================
+
+const MAX_GROUP_MEMBERS = 256;
+const MAX_GROUP_NAME_LENGTH = 100;
+
+const groupRoom = (groupId) => `group:${groupId}`;
+
+const findMember = (group, username) =>
+  group.members.find(member => member.username === username);
+
+const isGroupAdmin = (group, username) => {
+  const member = findMember(group, username);
+  return !!member && member.role === 'admin';
+};
+
+const serializeGroup = (group) => ({
+  _id: group._id,
+  type: group.type,
+  name: group.name,
+  createdBy: group.createdBy,
+  members: group.members.map(member => ({
+    username: member.username,
+    role: member.role,
+    joinedAt: member.joinedAt
+  })),
+  createdAt: group.createdAt,
+  updatedAt: group.updatedAt
+});
+
+const serializeGroupMessage = (message) => ({
+  _id: message._id,
+  conversationId: message.conversationId,
+  sender: message.sender,
+  encryptedMessage: message.encryptedMessage || null,
+  ciphertexts: serializeCiphertexts(message),
+  timestamp: message.timestamp,
+  ...messageStateFields(message)
+});
+
+// Load a group the user belongs to; non-members get the same 404 as a missing group
+const loadGroupForMember = async (groupId, username) => {
+  if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    throw new ApiError(404, 'Group not found', 'GROUP_NOT_FOUND');
+  }
+
+  const group = await Conversation.findOne({ _id: groupId, type: 'group' });
+  if (!group || !findMember(group, username)) {
+    throw new ApiError(404, 'Group not found', 'GROUP_NOT_FOUND');
+  }
+
+  return group;
+};
+
+// Drop duplicates and the acting user, and make sure every invitee exists
+const resolveInvitees = async (usernames, actingUsername) => {
+  const unique = [...new Set(usernames)]
+    .filter(name => name !== actingUsername);
+
+  const users = await User.find({ username: { $in: unique } }, 'username');
+  if (users.length !== unique.length) {
+    const found = new Set(users.map(user => user.username));
+    const missing = unique.filter(name => !found.has(name));
+    throw new ApiError(404, `User not found: ${missing.join(', ')}`, 'USER_NOT_FOUND');
+  }
+
+  return unique;
+};
+
+const createGroup = async (creator, { name, members = [] }) => {
+  const invitees = await resolveInvitees(members, creator);
+  if (invitees.length + 1 > MAX_GROUP_MEMBERS) {
+    throw new ApiError(400, `A group can have at most ${MAX_GROUP_MEMBERS} members`, 'GROUP_FULL');
+  }
+
+  const group = new Conversation({
+    type: 'group',
+    name,
+    createdBy: creator,
+    members: [
+      { username: creator, role: 'admin' },
+      ...invitees.map(username => ({ username, role: 'member' }))
+    ]
+  });
+
+  await group.save();
+  await addGroupToInbox(group, group.members.map(member => member.username));
+
+  // Pull every online member's sockets into the group room
+  const room = groupRoom(group._id);
+  group.members.forEach(member => io.in(member.username).socketsJoin(room));
+  io.to(room).emit('group_created', serializeGroup(group));
+
+  return group;
+};
+
+const addGroupMembers = async (groupId, actingUsername, usernames) => {
+  const group = await loadGroupForMember(groupId, actingUsername);
+
+  if (!isGroupAdmin(group, actingUsername)) {
+    throw new ApiError(403, 'Only group admins can invite members', 'NOT_GROUP_ADMIN');
+  }
+
+  const invitees = (await resolveInvitees(usernames, actingUsername))
+    .filter(username => !findMember(group, username));
+
+  if (invitees.length === 0) {
+    throw new ApiError(400, 'No new members to add', 'BAD_REQUEST');
+  }
+  if (group.members.length + invitees.length > MAX_GROUP_MEMBERS) {
+    throw new ApiError(400, `A group can have at most ${MAX_GROUP_MEMBERS} members`, 'GROUP_FULL');
+  }
+
+  invitees.forEach(username => group.members.push({ username, role: 'member' }));
+  await group.save();
+  await addGroupToInbox(group, invitees);
+
+  const room = groupRoom(group._id);
+  invitees.forEach(username => io.in(username).socketsJoin(room));
+  io.to(room).emit('group_member_added', {
+    groupId: group._id,
+    usernames: invitees,
+    by: actingUsername,
+    group: serializeGroup(group)
+  });
+
+  return group;
+};
+
+// Shared by leave and kick; keeps at least one admin while members remain
+const removeGroupMember = async (group, username) => {
+  group.members = group.members.filter(member => member.username !== username);
+  await removeGroupFromInbox(group._id, username);
+
+  if (group.members.length === 0) {
+    await Conversation.findByIdAndDelete(group._id);
+    return null;
+  }
+
+  if (!group.members.some(member => member.role === 'admin')) {
+    const oldest = [...group.members].sort((a, b) => a.joinedAt - b.joinedAt)[0];
+    oldest.role = 'admin';
+  }
+
+  await group.save();
+  return group;
+};
+
+const leaveGroup = async (groupId, username) => {
+  const group = await loadGroupForMember(groupId, username);
+  const remaining = await removeGroupMember(group, username);
+
+  const room = groupRoom(group._id);
+  io.in(username).socketsLeave(room);
+  if (remaining) {
+    io.to(room).emit('group_member_left', {
+      groupId: group._id,
+      username,
+      group: serializeGroup(remaining)
+    });
+  }
+};
+
+const kickGroupMember = async (groupId, actingUsername, username) => {
+  const group = await loadGroupForMember(groupId, actingUsername);
+
+  if (!isGroupAdmin(group, actingUsername)) {
+    throw new ApiError(403, 'Only group admins can remove members', 'NOT_GROUP_ADMIN');
+  }
+  if (username === actingUsername) {
+    throw new ApiError(400, 'Use leave to remove yourself from a group', 'BAD_REQUEST');
+  }
+  if (!findMember(group, username)) {
+    throw new ApiError(404, 'Member not found', 'MEMBER_NOT_FOUND');
+  }
+
+  const remaining = await removeGroupMember(group, username);
+
+  const room = groupRoom(group._id);
+  io.to(username).emit('group_member_removed', { groupId: group._id, username, by: actingUsername });
+  io.in(username).socketsLeave(room);
+  io.to(room).emit('group_member_removed', {
+    groupId: group._id,
+    username,
+    by: actingUsername,
+    group: serializeGroup(remaining)
+  });
+};
+
+const setGroupMemberRole = async (groupId, actingUsername, username, role) => {
+  const group = await loadGroupForMember(groupId, actingUsername);
+  if (!isGroupAdmin(group, actingUsername)) {
+    throw new ApiError(403, 'Only group admins can change roles', 'NOT_GROUP_ADMIN');
+  }
+
+  const member = findMember(group, username);
+  if (!member) {
+    throw new ApiError(404, 'Member not found', 'MEMBER_NOT_FOUND');
+  }
+  if (role === 'member' && member.role === 'admin' &&
+      group.members.filter(m => m.role === 'admin').length === 1) {
+    throw new ApiError(400, 'A group needs at least one admin', 'LAST_ADMIN');
+  }
+
+  member.role = role;
+  await group.save();
+
+  io.to(groupRoom(group._id)).emit('group_role_changed', {
+    groupId: group._id,
+    username,
+    role,
+    by: actingUsername
+  });
+
+  return group;
+};
+
+const sendGroupMessage = async (groupId, sender, payload, originSocketId) => {
+  const { clientMessageId } = payload;
+  const existing = await findDuplicateSend(sender, clientMessageId, { conversationId: groupId });
+  if (existing) return { message: existing, duplicate: true };
+
+  const content = parseMessagePayload(payload);
+  const group = await loadGroupForMember(groupId, sender);
+  const replyTo = await resolveReplyTo(payload.replyTo, {
+    conversationId: group._id,
+    ...visibleTo(sender)
+  });
+
+  const attachments = await resolveAttachments(payload.attachments, sender);
+  const timestamp = new Date();
+
+  const message = new Message({
+    conversationId: group._id,
+    sender,
+    ...content,
+    attachments,
+    replyTo,
+    timestamp,
+    expiresAt: expiryFor(group.disappearingSeconds, timestamp),
+    clientMessageId
+  });
+
+  const raced = await saveSentMessage(message, { conversationId: group._id });
+  if (raced) return { message: raced, duplicate: true };
+
+  metrics.messagesSent.inc({ type: 'group' });
+  await message.populate('replyTo', REPLY_PREVIEW_FIELDS);
+
+  // Every online member's devices, including the sender's other devices
+  let target = io.to(groupRoom(group._id));
+  if (originSocketId) target = target.except(originSocketId);
+  target.emit('new_message', serializeGroupMessage(message));
+  recordInInbox(message, group.members).catch(error => logger.error('Inbox update error', { error }));
+
+  return { message, duplicate: false };
+};
+
+const groupMemberList = z.array(schemas.username).max(MAX_GROUP_MEMBERS);
+
+const groupSchemas = {
+  create: z.object({
+    name: z.string().trim().min(1, 'Group name is required').max(MAX_GROUP_NAME_LENGTH),
+    members: groupMemberList.optional()
+  }),
+  group: z.object({ groupId: schemas.objectId }),
+  member: z.object({ groupId: schemas.objectId, username: schemas.username }),
+  invite: z.object({ usernames: groupMemberList.min(1) }),
+  role: z.object({ role: z.enum(['admin', 'member']) }),
+  messagesQuery: z.object(pageQueryShape),
+  // send_group_message carries the group in the payload instead of the path
+  socketMessage: z.object({
+    groupId: schemas.objectId,
+    ...messageSendShape
+  }).refine(hasMessageContent.check, hasMessageContent.params)
+};
+
+// 👥 CREATE GROUP
+app.post('/api/groups', authenticate, validate({ body: groupSchemas.create }), async (req, res) => {
+  try {
+    const group = await createGroup(req.user.username, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created successfully',
+      group: serializeGroup(group)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Create group');
+  }
+});
+
+// 👥 LIST MY GROUPS
+app.get('/api/groups', authenticate, async (req, res) => {
+  try {
+    const groups = await Conversation.find({
+      type: 'group',
+      'members.username': req.user.username
+    }).sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      groups: groups.map(serializeGroup)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Get groups');
+  }
+});
+
+// 👥 GET GROUP DETAILS
+app.get('/api/groups/:groupId', authenticate, validate({ params: groupSchemas.group }), async (req, res) => {
+  try {
+    const group = await loadGroupForMember(req.params.groupId, req.user.username);
+
+    res.json({
+      success: true,
+      group: serializeGroup(group)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Get group');
+  }
+});
+
+// 👥 INVITE MEMBERS (admins only)
+app.post('/api/groups/:groupId/members', authenticate, validate({
+  params: groupSchemas.group,
+  body: groupSchemas.invite
+}), async (req, res) => {
+  try {
+    const group = await addGroupMembers(req.params.groupId, req.user.username, req.body.usernames);
+
+    res.json({
+      success: true,
+      message: 'Members added successfully',
+      group: serializeGroup(group)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Add group members');
+  }
+});
+
+// 👥 CHANGE MEMBER ROLE (admins only)
+app.patch('/api/groups/:groupId/members/:username', authenticate, validate({
+  params: groupSchemas.member,
+  body: groupSchemas.role
+}), async (req, res) => {
+  try {
+    const group = await setGroupMemberRole(
+      req.params.groupId,
+      req.user.username,
+      req.params.username,
+      req.body.role
+    );
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      group: serializeGroup(group)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Change group role');
+  }
+});
+
+// 👥 KICK MEMBER (admins only)
+app.delete('/api/groups/:groupId/members/:username', authenticate, validate({ params: groupSchemas.member }), async (req, res) => {
+  try {
+    await kickGroupMember(req.params.groupId, req.user.username, req.params.username);
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Kick group member');
+  }
+});
+
+// 👥 LEAVE GROUP
+app.post('/api/groups/:groupId/leave', authenticate, validate({ params: groupSchemas.group }), async (req, res) => {
+  try {
+    await leaveGroup(req.params.groupId, req.user.username);
+
+    res.json({
+      success: true,
+      message: 'Left group successfully'
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Leave group');
+  }
+});
+
+// 💬 GET GROUP MESSAGES
+app.get('/api/groups/:groupId/messages', authenticate, validate({
+  params: groupSchemas.group,
+  query: groupSchemas.messagesQuery
+}), async (req, res) => {
+  try {
+    const group = await loadGroupForMember(req.params.groupId, req.user.username);
+
+    const { before, after, limit } = req.query;
+    const { messages, pageInfo } = await paginateMessages(
+      { conversationId: group._id, ...visibleTo(req.user.username) },
+      { before, after, limit }
+    );
+
+    res.json({
+      success: true,
+      messages: messages.map(message => ({
+        ...serializeGroupMessage(message),
+        ...groupReceiptFields(message)
+      })),
+      pageInfo
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Get group messages');
+  }
+});
+
+// 📨 SEND GROUP MESSAGE (HTTP API)
+app.post('/api/groups/:groupId/messages', authenticate, rateLimit('message'), validate({
+  params: groupSchemas.group,
+  body: messageSchemas.group
+}), async (req, res) => {
+  try {
+    const { message, duplicate } = await sendGroupMessage(
+      req.params.groupId,
+      req.user.username,
+      withIdempotencyKey(req),
+      req.get('X-Socket-Id')
+    );
+
+    res.json({
+      success: true,
+      message: duplicate ? 'Message was already sent' : 'Message sent successfully',
+      messageId: message._id,
+      clientMessageId: message.clientMessageId || null,
+      duplicate,
+      data: serializeMessage(message)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Send group message');
+  }
+});
+
+// ==================== DELIVERY & READ RECEIPTS ====================
+
+// Collapse the receipt arrays into what a 1:1 chat needs
+const directReceiptFields = (message) => {
+  const delivered = message.deliveredTo.find(receipt => receipt.username === message.receiver);
+  const read = message.readBy.find(receipt => receipt.username === message.receiver);
+  return {
+    status: read ? 'read' : delivered ? 'delivered' : 'sent',
+    deliveredAt: delivered ? delivered.at : null,
+    readAt: read ? read.at : null
+  };
+};
+
+const groupReceiptFields = (message) => ({
+  deliveredTo: message.deliveredTo.map(({ username, at }) => ({ username, at })),
+  readBy: message.readBy.map(({ username, at }) => ({ username, at }))
+});
+
+// Group message ids by sender so each sender gets one event
+const groupIdsBySender = (messages) => messages.reduce((bySender, message) => {
+  (bySender[message.sender] = bySender[message.sender] || []).push(message._id);
+  return bySender;
+}, {});
+
+// Record that `username` received the given messages and tell each sender
+const markMessagesDelivered = async (username, messageIds) => {
+  const candidates = await Message.find({
+    _id: { $in: messageIds },
+    sender: { $ne: username },
+    'deliveredTo.username': { $ne: username },
+    ...visibleTo(username)
+  }, '_id sender receiver conversationId');
+
+  // Only count group messages for groups the user actually belongs to
+  const groupIds = [...new Set(candidates
+    .filter(message => message.conversationId)
+    .map(message => message.conversationId.toString()))];
+  const memberGroups = new Set((await Conversation.find(
+    { _id: { $in: groupIds }, 'members.username': username },
+    '_id'
+  )).map(group => group._id.toString()));
+
+  // No receipts either way between blocked users
+  const blockedSenders = await blockedPeersOf(username, [...new Set(candidates
+    .filter(message => !message.conversationId)
+    .map(message => message.sender))]);
+
+  const delivered = candidates.filter(message => message.conversationId
+    ? memberGroups.has(message.conversationId.toString())
+    : message.receiver === username && !blockedSenders.has(message.sender));
+
+  if (delivered.length === 0) return [];
+
+  const deliveredAt = new Date();
+  await Message.updateMany(
+    { _id: { $in: delivered.map(message => message._id) }, 'deliveredTo.username': { $ne: username } },
+    { $push: { deliveredTo: { username, at: deliveredAt } } }
+  );
+
+  Object.entries(groupIdsBySender(delivered)).forEach(([sender, senderMessageIds]) => {
+    io.to(sender).emit('message_delivered', {
+      messageIds: senderMessageIds,
+      username,
+      deliveredAt
+    });
+  });
+
+  return delivered.map(message => message._id);
+};
+
+// Mark every incoming message up to `upToMessageId` as read, in a 1:1 chat (`peer`)
+// or a group (`groupId`), and push `messages_read` to the senders
+const markConversationRead = async (username, { peer, groupId, upToMessageId }) => {
+  let scope;
+  if (groupId) {
+    const group = await loadGroupForMember(groupId, username);
+    scope = { conversationId: group._id, ...visibleTo(username) };
+  } else {
+    scope = {
+      $or: [
+        { sender: peer, receiver: username },
+        { sender: username, receiver: peer }
+      ],
+      ...visibleTo(username)
+    };
+  }
+
+  const upTo = await Message.findOne({ _id: upToMessageId, ...scope }, 'timestamp');
+  if (!upTo) {
+    throw new ApiError(404, 'Message not found', 'MESSAGE_NOT_FOUND');
+  }
+
+  const unread = await Message.find({
+    ...scope,
+    sender: { $ne: username },
+    timestamp: { $lte: upTo.timestamp },
+    'readBy.username': { $ne: username }
+  }, '_id sender');
+
+  if (unread.length === 0) return { readAt: null, messageIds: [] };
+
+  const readAt = new Date();
+  const unreadIds = unread.map(message => message._id);
+
+  // Reading a message implies it was delivered
+  await Message.updateMany(
+    { _id: { $in: unreadIds }, 'deliveredTo.username': { $ne: username } },
+    { $push: { deliveredTo: { username, at: readAt } } }
+  );
+  await Message.updateMany(
+    { _id: { $in: unreadIds }, 'readBy.username': { $ne: username } },
+    { $push: { readBy: { username, at: readAt } } }
+  );
+
+  // The reader's own unread count still clears, but nobody on the other side of a block hears about it
+  const { hasBlocked, isBlockedBy } = groupId ? {} : await getBlockState(username, peer);
+  const notifySenders = !hasBlocked && !isBlockedBy;
+
+  Object.entries(notifySenders ? groupIdsBySender(unread) : {}).forEach(([sender, senderMessageIds]) => {
+    io.to(sender).emit('messages_read', {
+      reader: username,
+      groupId: groupId || null,
+      upToMessageId,
+      messageIds: senderMessageIds,
+      readAt
+    });
+  });
+
+  await refreshUnreadCount(username, groupId ? { conversationId: groupId } : { peer }, scope);
+
+  return { readAt, messageIds: unreadIds };
+};
+
+const MAX_RECEIPT_BATCH = 500;
+
+const receiptSchemas = {
+  delivered: z.object({
+    messageIds: z.array(schemas.objectId).min(1).max(MAX_RECEIPT_BATCH)
+  }),
+  read: z.object({
+    peer: schemas.username.optional(),
+    groupId: schemas.objectId.optional(),
+    upToMessageId: schemas.objectId
+  }).refine(({ peer, groupId }) => !peer !== !groupId, {
+    message: 'Exactly one of peer or groupId is required',
+    path: ['peer']
+  })
+};
+
+// 👁️ MARK CONVERSATION READ
+app.post('/api/messages/read', authenticate, validate({ body: receiptSchemas.read }), async (req, res) => {
+  try {
+    const { peer, groupId, upToMessageId } = req.body;
+    const result = await markConversationRead(req.user.username, { peer, groupId, upToMessageId });
+
+    res.json({
+      success: true,
+      message: 'Conversation marked as read',
+      readAt: result.readAt,
+      messageIds: result.messageIds
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Mark read');
+  }
+});
+
+// ==================== CONVERSATION INBOX ====================
+// ConversationSummary rows are updated on every send and read so the chat list
+// is one indexed query. Users whose history predates the summaries get theirs
+// built from an aggregation the first time they open the inbox.
+
+// `key` is { peer } for a 1:1 chat or { conversationId } for a group
+const summaryFilter = (owner, { peer, conversationId }) => ({
+  owner,
+  peer: peer || null,
+  conversationId: conversationId || null
+});
+
+const inboxPayload = (summary) => ({
+  peer: summary.peer || null,
+  groupId: summary.conversationId || null,
+  lastMessageId: summary.lastMessage || null,
+  lastMessageAt: summary.lastMessageAt,
+  unreadCount: summary.unreadCount
+});
+
+const emitInboxUpdate = (summary) => emitToUser(summary.owner, 'inbox_updated', inboxPayload(summary));
+
+// System messages and your own messages never count as unread
+const unreadIncrement = (message, owner) => (message.kind === 'system' || owner === message.sender ? 0 : 1);
+
+// Bump the inbox rows of everyone who received a new message.
+// `members` is the group's member list for group messages.
+const recordInInbox = async (message, members) => {
+  const latest = { lastMessage: message._id, lastMessageAt: message.timestamp };
+
+  if (message.conversationId) {
+    await ConversationSummary.bulkWrite(members.map(({ username }) => ({
+      updateOne: {
+        filter: summaryFilter(username, { conversationId: message.conversationId }),
+        update: { $set: latest, $inc: { unreadCount: unreadIncrement(message, username) } },
+        upsert: true
+      }
+    })));
+    const summaries = await ConversationSummary.find({ conversationId: message.conversationId });
+    summaries.forEach(emitInboxUpdate);
+    return;
+  }
+
+  // A suppressed message never reaches the receiver's inbox
+  const owners = message.suppressed ? [message.sender] : [message.sender, message.receiver];
+  for (const owner of owners) {
+    const peer = owner === message.sender ? message.receiver : message.sender;
+    const summary = await ConversationSummary.findOneAndUpdate(
+      summaryFilter(owner, { peer }),
+      { $set: latest, $inc: { unreadCount: unreadIncrement(message, owner) } },
+      { upsert: true, new: true }
+    );
+    emitInboxUpdate(summary);
+  }
+};
+
+// Recount after a read; `scope` is the message filter for the conversation.
+// Only messages `owner` can see count (not hidden for them, not expired).
+const refreshUnreadCount = async (owner, key, scope) => {
+  const unreadCount = await Message.countDocuments({
+    $and: [scope, visibleTo(owner)],
+    kind: { $ne: 'system' },
+    sender: { $ne: owner },
+    'readBy.username': { $ne: owner }
+  });
+
+  const summary = await ConversationSummary.findOneAndUpdate(
+    summaryFilter(owner, key),
+    { $set: { unreadCount } },
+    { new: true }
+  );
+  if (summary) emitInboxUpdate(summary);
+};
+
+// Both directions of a 1:1 chat
+const directScope = (username, peer) => ({
+  conversationId: null,
+  $or: [
+    { sender: username, receiver: peer },
+    { sender: peer, receiver: username }
+  ]
+});
+
+// Inbox key and message filter of the conversation `message` is in, from `owner`'s side
+const inboxScopeFor = (message, owner) => {
+  if (message.conversationId) {
+    return { key: { conversationId: message.conversationId }, scope: { conversationId: message.conversationId } };
+  }
+  const peer = message.sender === owner ? message.receiver : message.sender;
+  return { key: { peer }, scope: directScope(owner, peer) };
+};
+
+// Re-point inbox rows whose last message was hidden, recalled or expired at the
+// newest message their owner can still see. `owner` limits this to one user's rows.
+const refreshLastMessages = async (messageIds, owner) => {
+  const summaries = await ConversationSummary.find({
+    lastMessage: { $in: messageIds },
+    ...(owner && { owner })
+  });
+
+  for (const summary of summaries) {
+    const scope = summary.conversationId
+      ? { conversationId: summary.conversationId }
+      : directScope(summary.owner, summary.peer);
+    const latest = await Message.findOne({ $and: [scope, visibleTo(summary.owner)] }, '_id timestamp')
+      .sort({ timestamp: -1, _id: -1 });
+
+    summary.lastMessage = latest ? latest._id : null;
+    if (latest) summary.lastMessageAt = latest.timestamp;
+    await summary.save();
+    emitInboxUpdate(summary);
+  }
+};
+
+// New group members get an empty row so the group shows up before anyone writes
+const addGroupToInbox = (group, usernames) => ConversationSummary.bulkWrite(usernames.map(username => ({
+  updateOne: {
+    filter: summaryFilter(username, { conversationId: group._id }),
+    update: { $setOnInsert: { lastMessageAt: new Date(), unreadCount: 0 } },
+    upsert: true
+  }
+})));
+
+const removeGroupFromInbox = (groupId, username) =>
+  ConversationSummary.deleteOne(summaryFilter(username, { conversationId: groupId }));
+
+// Per-conversation last message and unread count, straight from message history
+const summarizeHistory = (match, groupBy, username) => Message.aggregate([
+  { $match: match },
+  { $sort: { timestamp: -1, _id: -1 } },
+  {
+    $group: {
+      _id: groupBy,
+      lastMessage: { $first: '$_id' },
+      lastMessageAt: { $first: '$timestamp' },
+      unreadCount: {
+        $sum: {
+          $cond: [
+            {
+              $and: [
+                { $ne: ['$kind', 'system'] },
+                { $ne: ['$sender', username] },
+                { $not: [{ $in: [username, '$readBy.username'] }] }
+              ]
+            },
+            1,
+            0
+          ]
+        }
+      }
+    }
+  }
+]);
+
+const buildInbox = async (username) => {
+  const groups = await Conversation.find({ type: 'group', 'members.username': username }, '_id createdAt');
+
+  const [direct, grouped] = await Promise.all([
+    summarizeHistory({
+      conversationId: null,
+      $or: [{ sender: username }, { receiver: username }],
+      ...visibleTo(username)
+    }, { $cond: [{ $eq: ['$sender', username] }, '$receiver', '$sender'] }, username),
+    summarizeHistory({
+      conversationId: { $in: groups.map(group => group._id) },
+      ...visibleTo(username)
+    }, '$conversationId', username)
+  ]);
+
+  const groupRows = new Map(grouped.map(row => [row._id.toString(), row]));
+  const rows = [
+    ...direct.map(row => ({ key: { peer: row._id }, row })),
+    ...groups.map(group => ({
+      key: { conversationId: group._id },
+      row: groupRows.get(group._id.toString()) || { lastMessageAt: group.createdAt, unreadCount: 0 }
+    }))
+  ];
+
+  if (rows.length > 0) {
+    await ConversationSummary.bulkWrite(rows.map(({ key, row }) => ({
+      updateOne: {
+        filter: summaryFilter(username, key),
+        update: {
+          $set: {
+            lastMessage: row.lastMessage || null,
+            lastMessageAt: row.lastMessageAt,
+            unreadCount: row.unreadCount
+          }
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  await User.updateOne({ username }, { inboxIndexedAt: new Date() });
+};
+
+const serializeInbox = async (username, summaries) => {
+  const peers = summaries.filter(summary => summary.peer).map(summary => summary.peer);
+  const groupIds = summaries.filter(summary => summary.conversationId).map(summary => summary.conversationId);
+
+  const [users, groups] = await Promise.all([
+    User.find({ username: { $in: peers } }, 'username displayName bio avatar publicKey createdAt'),
+    Conversation.find({ _id: { $in: groupIds } }, 'name members')
+  ]);
+  const usersByName = new Map(users.map(user => [user.username, user]));
+  const groupsById = new Map(groups.map(group => [group._id.toString(), group]));
+
+  return summaries.map(summary => {
+    const message = summary.lastMessage;
+    const visible = message && !message.hiddenFor.includes(username);
+    const peer = summary.peer && usersByName.get(summary.peer);
+    const group = summary.conversationId && groupsById.get(summary.conversationId.toString());
+
+    return {
+      id: summary._id,
+      type: summary.peer ? 'direct' : 'group',
+      peer: summary.peer ? (peer ? serializeProfile(peer) : { username: summary.peer }) : null,
+      group: group ? { _id: group._id, name: group.name, memberCount: group.members.length } : null,
+      lastMessage: visible ? serializeMessage(message) : null,
+      lastMessageAt: summary.lastMessageAt,
+      unreadCount: summary.unreadCount
+    };
+  });
+};
+
+const inboxSchemas = {
+  query: z.object({
+    before: schemas.objectId.optional(),
+    limit: schemas.limit
+  })
+};
+
+// 📥 CONVERSATION LIST (most recent activity first; page with ?before=<id of last row>)
+app.get('/api/conversations', authenticate, validate({ query: inboxSchemas.query }), async (req, res) => {
+  try {
+    const { username } = req.user;
+    const { before, limit } = req.query;
+    const pageSize = parseLimit(limit);
+
+    const user = await User.findOne({ username }, 'inboxIndexedAt');
+    if (user && !user.inboxIndexedAt) {
+      await buildInbox(username);
+    }
+
+    const filter = { owner: username };
+    if (before) {
+      const cursor = await ConversationSummary.findOne({ _id: before, owner: username }, 'lastMessageAt');
+      if (!cursor) {
+        throw new ApiError(400, 'Invalid cursor', 'INVALID_CURSOR');
+      }
+      filter.$or = [
+        { lastMessageAt: { $lt: cursor.lastMessageAt } },
+        { lastMessageAt: cursor.lastMessageAt, _id: { $lt: cursor._id } }
+      ];
+    }
+
+    const summaries = await ConversationSummary.find(filter)
+      .sort({ lastMessageAt: -1, _id: -1 })
+      .limit(pageSize + 1)
+      .populate('lastMessage');
+
+    const hasMore = summaries.length > pageSize;
+    const page = summaries.slice(0, pageSize);
+
+    res.json({
+      success: true,
+      conversations: await serializeInbox(username, page),
+      pageInfo: {
+        hasMore,
+        nextCursor: hasMore ? page[page.length - 1]._id : null
+      }
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Get conversations');
+  }
+});
+
+// ==================== MESSAGE EDIT & DELETE ====================
+
+const RECALL_WINDOW_MINUTES = Number(process.env.RECALL_WINDOW_MINUTES) || 60;
+
+// Load a message the user can see; anything else is reported as not found
+const loadMessageForParticipant = async (messageId, username) => {
+  if (!messageId || !mongoose.Types.ObjectId.isValid(messageId)) {
+    throw new ApiError(404, 'Message not found', 'MESSAGE_NOT_FOUND');
+  }
+
+  const message = await Message.findOne({ _id: messageId, ...visibleTo(username) });
+  if (!message) {
+    throw new ApiError(404, 'Message not found', 'MESSAGE_NOT_FOUND');
+  }
+
+  if (message.conversationId) {
+    await loadGroupForMember(message.conversationId, username);
+  } else if (message.sender !== username && message.receiver !== username) {
+    throw new ApiError(404, 'Message not found', 'MESSAGE_NOT_FOUND');
+  }
+
+  return message;
+};
+
+// Everyone who can currently see the message: the group room, or both 1:1 participants
+const emitToMessageAudience = (message, event, payload) => {
+  if (message.conversationId) {
+    io.to(groupRoom(message.conversationId)).emit(event, payload);
+  } else if (message.suppressed) {
+    emitToUser(message.sender, event, payload);
+  } else {
+    io.to(message.sender).to(message.receiver).emit(event, payload);
+  }
+};
+
+const serializeMessage = (message) => (message.conversationId
+  ? serializeGroupMessage(message)
+  : serializeDirectMessage(message));
+
+const editMessage = async (username, messageId, payload) => {
+  const message = await loadMessageForParticipant(messageId, username);
+
+  if (message.sender !== username) {
+    throw new ApiError(403, 'Only the sender can edit this message', 'FORBIDDEN');
+  }
+  assertNotSystemMessage(message);
+  if (message.deletedAt) {
+    throw new ApiError(400, 'Message has been deleted', 'MESSAGE_DELETED');
+  }
+
+  const content = parseMessagePayload(payload);
+
+  message.editHistory.push({
+    encryptedMessage: message.encryptedMessage,
+    ciphertexts: message.ciphertexts,
+    editedAt: message.editedAt || message.timestamp
+  });
+  message.encryptedMessage = content.encryptedMessage;
+  message.ciphertexts = content.ciphertexts;
+  message.editedAt = new Date();
+  await message.save();
+  await message.populate('replyTo', REPLY_PREVIEW_FIELDS);
+
+  emitToMessageAudience(message, 'message_edited', serializeMessage(message));
+
+  return message;
+};
+
+// Hide a message from this user's own history only
+const deleteMessageForMe = async (username, messageId) => {
+  const message = await loadMessageForParticipant(messageId, username);
+
+  await Message.updateOne({ _id: message._id }, { $addToSet: { hiddenFor: username } });
+
+  emitToUser(username, 'message_deleted', { messageId: message._id, scope: 'me' });
+
+  const { key, scope } = inboxScopeFor(message, username);
+  await refreshLastMessages([message._id], username);
+  await refreshUnreadCount(username, key, scope);
+};
+
+// Tombstone a message for everyone: the ciphertext and its edit history are wiped
+const recallMessage = async (username, messageId) => {
+  const message = await loadMessageForParticipant(messageId, username);
+
+  if (message.sender !== username) {
+    throw new ApiError(403, 'Only the sender can delete this message for everyone', 'FORBIDDEN');
+  }
+  assertNotSystemMessage(message);
+  if (message.deletedAt) {
+    throw new ApiError(400, 'Message has already been deleted', 'MESSAGE_DELETED');
+  }
+  if (Date.now() - message.timestamp.getTime() > RECALL_WINDOW_MINUTES * 60 * 1000) {
+    throw new ApiError(400, `Messages can only be deleted for everyone within ${RECALL_WINDOW_MINUTES} minutes`, 'RECALL_WINDOW_EXPIRED');
+  }
+
+  message.encryptedMessage = undefined;
+  message.ciphertexts = [];
+  message.editHistory = [];
+  // Unreferenced blobs are picked up by the orphan sweep
+  const attachments = message.attachments;
+  message.attachments = [];
+  message.deletedAt = new Date();
+  await message.save();
+  await unlinkAttachments(attachments);
+
+  emitToMessageAudience(message, 'message_deleted', {
+    messageId: message._id,
+    scope: 'everyone',
+    deletedAt: message.deletedAt
+  });
+  await refreshLastMessages([message._id]);
+};
+
+const messageIdShape = { messageId: schemas.objectId };
+const deleteScope = z.enum(['me', 'everyone']).default('me');
+
+const editSchemas = {
+  message: z.object(messageIdShape),
+  edit: z.object(messageContentShape).refine(hasMessageContent.check, hasMessageContent.params),
+  deleteQuery: z.object({ scope: deleteScope }),
+  // Socket payloads carry the message id alongside the body
+  socketEdit: z.object({ ...messageIdShape, ...messageContentShape })
+    .refine(hasMessageContent.check, hasMessageContent.params),
+  socketDelete: z.object({ ...messageIdShape, scope: deleteScope })
+};
+
+// ✏️ EDIT MESSAGE
+app.patch('/api/messages/:messageId', authenticate, validate({
+  params: editSchemas.message,
+  body: editSchemas.edit
+}), async (req, res) => {
+  try {
+    const message = await editMessage(req.user.username, req.params.messageId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Message edited successfully',
+      data: serializeMessage(message)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Edit message');
+  }
+});
+
+// ✏️ GET EDIT HISTORY
+app.get('/api/messages/:messageId/edits', authenticate, validate({ params: editSchemas.message }), async (req, res) => {
+  try {
+    const message = await loadMessageForParticipant(req.params.messageId, req.user.username);
+
+    res.json({
+      success: true,
+      edits: message.editHistory.map(edit => ({
+        encryptedMessage: edit.encryptedMessage,
+        ciphertexts: edit.ciphertexts.map(({ username, deviceId, ciphertext }) =>
+          ({ username, deviceId, ciphertext })),
+        editedAt: edit.editedAt
+      }))
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Get edit history');
+  }
+});
+
+// 🗑️ DELETE MESSAGE (?scope=me hides it for you, ?scope=everyone recalls it)
+app.delete('/api/messages/:messageId', authenticate, validate({
+  params: editSchemas.message,
+  query: editSchemas.deleteQuery
+}), async (req, res) => {
+  try {
+    if (req.query.scope === 'everyone') {
+      await recallMessage(req.user.username, req.params.messageId);
+    } else {
+      await deleteMessageForMe(req.user.username, req.params.messageId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Message deleted successfully'
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Delete message');
+  }
+});
+
+// ==================== REACTIONS ====================
+
+const MAX_EMOJI_LENGTH = 32;
+const MAX_REACTIONS_PER_USER = 20;
+
+// One emoji (UTS #51): a pictograph that is emoji by default, optionally with
+// a skin tone or U+FE0F (👍🏽, 😀); a text-default one with a skin tone or
+// U+FE0F (☝🏽, ❤️, ©️ but not ©); ZWJ joins of those (👩‍💻, 🏳️‍🌈); a tag
+// sequence flag (🏴󠁧󠁢󠁥󠁮󠁧󠁿); a regional indicator flag (🇻🇳); or a keycap (1️⃣)
+const SINGLE_EMOJI_PATTERN = /^(?:(?:(?![\p{Regional_Indicator}\p{Emoji_Modifier}])\p{Emoji_Presentation}(?:\p{Emoji_Modifier}|\uFE0F)?|\p{Emoji_Modifier_Base}\p{Emoji_Modifier}|\p{Extended_Pictographic}\uFE0F)(?:\u200D\p{Extended_Pictographic}(?:\p{Emoji_Modifier}|\uFE0F)?)*|\p{Extended_Pictographic}[\u{E0020}-\u{E007E}]+\u{E007F}|\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3)$/u;
+const emojiSchema = z.string().min(1).max(MAX_EMOJI_LENGTH).regex(SINGLE_EMOJI_PATTERN, 'emoji must be a single emoji');
+
+const reactionSchemas = {
+  add: z.object({ emoji: emojiSchema }),
+  reaction: z.object({ ...messageIdShape, emoji: emojiSchema }),
+  // Removal only needs to match what is stored, including reactions saved
+  // before emoji were validated this strictly
+  removal: z.object({ ...messageIdShape, emoji: z.string().min(1).max(MAX_EMOJI_LENGTH) })
+};
+
+// Blocks between the two sides of a 1:1 message; group messages aren't affected
+const directBlockStateFor = async (message, username) => {
+  if (message.conversationId) return { hasBlocked: false, isBlockedBy: false };
+  const peer = message.sender === username ? message.receiver : message.sender;
+  return getBlockState(username, peer);
+};
+
+const addReaction = async (username, messageId, emoji) => {
+  const message = await loadMessageForParticipant(messageId, username);
+
+  assertNotSystemMessage(message);
+  if (message.deletedAt) {
+    throw new ApiError(400, 'Message has been deleted', 'MESSAGE_DELETED');
+  }
+  const { hasBlocked, isBlockedBy } = await directBlockStateFor(message, username);
+  if (hasBlocked) {
+    throw new ApiError(403, 'Unblock this user to react to their messages', 'USER_BLOCKED');
+  }
+
+  const mine = message.reactions.filter(reaction => reaction.username === username);
+  if (mine.some(reaction => reaction.emoji === emoji)) {
+    return message;
+  }
+  if (mine.length >= MAX_REACTIONS_PER_USER) {
+    throw new ApiError(400, `You can add at most ${MAX_REACTIONS_PER_USER} reactions to a message`, 'TOO_MANY_REACTIONS');
+  }
+
+  // Like a message to someone who blocked you: it looks added, but only to the reactor
+  if (isBlockedBy) {
+    message.reactions.push({ username, emoji, reactedAt: new Date() });
+    emitToUser(username, 'reaction_added', {
+      messageId: message._id,
+      username,
+      emoji,
+      reactions: summarizeReactions(message.reactions)
+    });
+    return message;
+  }
+
+  // The $elemMatch guard keeps concurrent duplicate adds from both landing
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, reactions: { $not: { $elemMatch: { username, emoji } } } },
+    { $push: { reactions: { username, emoji, reactedAt: new Date() } } },
+    { new: true }
+  );
+
+  if (updated) {
+    emitToMessageAudience(updated, 'reaction_added', {
+      messageId: updated._id,
+      username,
+      emoji,
+      reactions: summarizeReactions(updated.reactions)
+    });
+  }
+
+  return updated || message;
+};
+
+const removeReaction = async (username, messageId, emoji) => {
+  const message = await loadMessageForParticipant(messageId, username);
+
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, reactions: { $elemMatch: { username, emoji } } },
+    { $pull: { reactions: { username, emoji } } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new ApiError(404, 'Reaction not found', 'REACTION_NOT_FOUND');
+  }
+
+  // Across a block, only the user's own devices hear about it
+  const { hasBlocked, isBlockedBy } = await directBlockStateFor(updated, username);
+  const payload = {
+    messageId: updated._id,
+    username,
+    emoji,
+    reactions: summarizeReactions(updated.reactions)
+  };
+  if (hasBlocked || isBlockedBy) {
+    emitToUser(username, 'reaction_removed', payload);
+  } else {
+    emitToMessageAudience(updated, 'reaction_removed', payload);
+  }
+
+  return updated;
+};
+
+// 😀 ADD REACTION
+app.post('/api/messages/:messageId/reactions', authenticate, validate({
+  params: editSchemas.message,
+  body: reactionSchemas.add
+}), async (req, res) => {
+  try {
+    const message = await addReaction(req.user.username, req.params.messageId, req.body.emoji);
+
+    res.json({
+      success: true,
+      message: 'Reaction added',
+      reactions: summarizeReactions(message.reactions)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Add reaction');
+  }
+});
+
+// 😀 REMOVE REACTION
+app.delete('/api/messages/:messageId/reactions/:emoji', authenticate, validate({
+  params: reactionSchemas.removal
+}), async (req, res) => {
+  try {
+    const message = await removeReaction(req.user.username, req.params.messageId, req.params.emoji);
+
+    res.json({
+      success: true,
+      message: 'Reaction removed',
+      reactions: summarizeReactions(message.reactions)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Remove reaction');
+  }
+});
+
+// ==================== DISAPPEARING MESSAGES ====================
+// Either side of a 1:1 chat, or any group member, can turn on a timer. Messages
+// sent while it is on get an `expiresAt`; a sweeper deletes them once it passes
+// and pushes `messages_expired`. Timer changes are kept in history as system messages.
+
+const DISAPPEARING_TIMERS = [0, 30, 60 * 60, 24 * 60 * 60, 7 * 24 * 60 * 60];
+const EXPIRY_SWEEP_INTERVAL_MS = Number(process.env.EXPIRY_SWEEP_INTERVAL_MS) || 5 * 1000;
+const EXPIRY_SWEEP_BATCH = 500;
+
+const directChatKey = (a, b) => [a, b].sort().join(':');
+
+const directTimer = async (a, b) => {
+  const settings = await DirectChatSettings.findOne({ key: directChatKey(a, b) }, 'disappearingSeconds');
+  return settings ? settings.disappearingSeconds : 0;
+};
+
+const expiryFor = (seconds, from) => (seconds > 0 ? new Date(from.getTime() + seconds * 1000) : undefined);
+
+// Record a conversation event in history and deliver it like any other message.
+// `target` is { receiver, suppressed } for a 1:1 chat or { group }.
+const createSystemMessage = async (sender, target, event, data) => {
+  const { receiver, suppressed, group } = target;
+
+  const message = new Message({
+    kind: 'system',
+    system: { event, data },
+    sender,
+    receiver: group ? undefined : receiver,
+    conversationId: group ? group._id : undefined,
+    suppressed: !!suppressed,
+    timestamp: new Date()
+  });
+  await message.save();
+  metrics.messagesSent.inc({ type: 'system' });
+
+  if (group) {
+    io.to(groupRoom(group._id)).emit('new_message', serializeGroupMessage(message));
+  } else {
+    deliverDirectMessage(message);
+  }
+  recordInInbox(message, group && group.members).catch(error => logger.error('Inbox update error', { error }));
+
+  return message;
+};
+
+const assertNotSystemMessage = (message) => {
+  if (message.kind === 'system') {
+    throw new ApiError(400, 'System messages cannot be changed', 'SYSTEM_MESSAGE');
+  }
+};
+
+const getDisappearingTimer = async (username, { peer, groupId }) => {
+  if (groupId) {
+    const group = await loadGroupForMember(groupId, username);
+    return group.disappearingSeconds;
+  }
+  return directTimer(username, peer);
+};
+
+// Change the timer for a 1:1 chat (`peer`) or a group (`groupId`)
+const setDisappearingTimer = async (username, { peer, groupId, seconds }) => {
+  const change = { seconds, by: username, changedAt: new Date() };
+
+  if (groupId) {
+    const group = await loadGroupForMember(groupId, username);
+    if (group.disappearingSeconds === seconds) return change;
+
+    group.disappearingSeconds = seconds;
+    await group.save();
+
+    await createSystemMessage(username, { group }, 'disappearing_timer_changed', { seconds });
+    io.to(groupRoom(group._id)).emit('disappearing_timer_changed', { ...change, groupId: group._id, peer: null });
+    return change;
+  }
+
+  if (peer === username) {
+    throw new ApiError(400, 'Cannot set a timer on a chat with yourself', 'INVALID_TARGET');
+  }
+  if (!await User.exists({ username: peer })) {
+    throw new ApiError(404, 'User not found', 'USER_NOT_FOUND');
+  }
+
+  // Someone who blocked you keeps their setting; you only see your own change
+  const { suppressed } = await checkDirectBlock(username, peer);
+  if (suppressed) {
+    await createSystemMessage(username, { receiver: peer, suppressed }, 'disappearing_timer_changed', { seconds });
+    emitToUser(username, 'disappearing_timer_changed', { ...change, groupId: null, peer });
+    return change;
+  }
+
+  if (await directTimer(username, peer) === seconds) return change;
+
+  await DirectChatSettings.updateOne(
+    { key: directChatKey(username, peer) },
+    { $set: { disappearingSeconds: seconds, updatedBy: username } },
+    { upsert: true }
+  );
+
+  await createSystemMessage(username, { receiver: peer }, 'disappearing_timer_changed', { seconds });
+  emitToUser(username, 'disappearing_timer_changed', { ...change, groupId: null, peer });
+  emitToUser(peer, 'disappearing_timer_changed', { ...change, groupId: null, peer: username });
+  return change;
+};
+
+// Where to send `messages_expired` and whose unread counts to recount
+const expiryAudienceKey = (message) => {
+  if (message.conversationId) return `group:${message.conversationId}`;
+  if (message.suppressed) return `suppressed:${message.sender}`;
+  return `direct:${directChatKey(message.sender, message.receiver)}`;
+};
+
+const sweepExpiredMessages = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  const candidates = await Message.find({ expiresAt: { $lte: new Date() } }, '_id').limit(EXPIRY_SWEEP_BATCH);
+
+  // Every instance sweeps; each message is reported by the one whose delete removed it
+  const expired = [];
+  for (const { _id } of candidates) {
+    const message = await Message.findOneAndDelete({ _id })
+      .select('_id sender receiver conversationId suppressed readBy.username attachments');
+    if (message) expired.push(message);
+  }
+  if (expired.length === 0) return;
+
+  await unlinkAttachments(expired.flatMap(message => message.attachments));
+  await refreshLastMessages(expired.map(message => message._id));
+
+  const audiences = new Map();
+  for (const message of expired) {
+    const key = expiryAudienceKey(message);
+    if (!audiences.has(key)) audiences.set(key, { message, messageIds: [], unreadBy: new Set() });
+    const audience = audiences.get(key);
+    audience.messageIds.push(message._id);
+    if (message.receiver && !message.suppressed && !message.readBy.some(read => read.username === message.receiver)) {
+      audience.unreadBy.add(message.receiver);
+    }
+  }
+
+  for (const { message, messageIds, unreadBy } of audiences.values()) {
+    emitToMessageAudience(message, 'messages_expired', {
+      messageIds,
+      groupId: message.conversationId || null
+    });
+
+    if (message.conversationId) {
+      const group = await Conversation.findById(message.conversationId, 'members.username');
+      if (!group) continue;
+      for (const { username } of group.members) {
+        await refreshUnreadCount(username, { conversationId: group._id }, { conversationId: group._id });
+      }
+      continue;
+    }
+
+    for (const owner of unreadBy) {
+      const peer = owner === message.sender ? message.receiver : message.sender;
+      await refreshUnreadCount(owner, { peer }, {
+        $or: [
+          { sender: peer, receiver: owner },
+          { sender: owner, receiver: peer }
+        ],
+        ...visibleTo(owner)
+      });
+    }
+  }
+};
+
+setInterval(() => {
+  sweepExpiredMessages().catch(error => logger.error('Expired message sweep error', { error }));
+}, EXPIRY_SWEEP_INTERVAL_MS).unref();
+
+const timerTargetShape = {
+  peer: schemas.username.optional(),
+  groupId: schemas.objectId.optional()
+};
+const hasOneTimerTarget = {
+  check: (value) => !value.peer !== !value.groupId,
+  params: { message: 'Provide either peer or groupId', path: ['peer'] }
+};
+
+const timerSchemas = {
+  query: z.object(timerTargetShape).refine(hasOneTimerTarget.check, hasOneTimerTarget.params),
+  set: z.object({
+    ...timerTargetShape,
+    seconds: z.number().int().refine(seconds => DISAPPEARING_TIMERS.includes(seconds), {
+      message: `seconds must be one of ${DISAPPEARING_TIMERS.join(', ')}`
+    })
+  }).refine(hasOneTimerTarget.check, hasOneTimerTarget.params)
+};
+
+// ⏳ GET DISAPPEARING TIMER (?peer=<username> or ?groupId=<id>)
+app.get('/api/conversations/timer', authenticate, validate({ query: timerSchemas.query }), async (req, res) => {
+  try {
+    const seconds = await getDisappearingTimer(req.user.username, req.query);
+
+    res.json({
+      success: true,
+      seconds,
+      allowed: DISAPPEARING_TIMERS
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Get disappearing timer');
+  }
+});
+
+// ⏳ SET DISAPPEARING TIMER (seconds: 0 turns it off)
+app.put('/api/conversations/timer', authenticate, validate({ body: timerSchemas.set }), async (req, res) => {
+  try {
+    const change = await setDisappearingTimer(req.user.username, req.body);
+
+    res.json({
+      success: true,
+      message: change.seconds > 0 ? 'Disappearing messages turned on' : 'Disappearing messages turned off',
+      ...change
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Set disappearing timer');
+  }
+});
+
+// ==================== CALL SIGNALING ====================
+// 1:1 WebRTC calls. The server relays SDP and ICE between the two devices in a
+// call and never sees media. Flow:
+//   caller:  call_invite { callee, media }        -> call_ringing { callId }
+//   callee:  every device gets call_incoming { callId, caller, media }
+//   callee:  call_accept | call_decline { callId } -> caller gets call_accepted | call_declined
+//   caller:  call_cancel { callId } while ringing; either side call_hangup once answered
+//   either:  call_offer / call_answer / call_ice_candidate, relayed to the other device
+// Unanswered calls end with call_timeout. Every call ends with a `call` system
+// message in the 1:1 history recording the outcome and duration.
+// Live calls are kept in the Call collection so any instance can act on them.
+
+const CALL_RING_TIMEOUT_MS = Number(process.env.CALL_RING_TIMEOUT_MS) || 30 * 1000;
+const CALL_SWEEP_INTERVAL_MS = 15 * 1000;
+const MAX_SDP_LENGTH = 16 * 1024;
+const MAX_ICE_CANDIDATE_LENGTH = 2048;
+
+// Ring timers for calls started on this instance; the sweeper covers the rest
+const ringTimers = new Map();
+
+// Event both sides get when a call ends, by outcome
+const CALL_END_EVENTS = {
+  busy: 'call_busy',
+  cancelled: 'call_cancelled',
+  declined: 'call_declined',
+  missed: 'call_timeout',
+  answered: 'call_ended'
+};
+
+const callPeer = (call, username) => (username === call.caller ? call.callee : call.caller);
+
+// The caller's device is fixed by the invite, the callee's by whichever device accepts
+const callSocket = (call, username) => (username === call.caller ? call.callerSocketId : call.calleeSocketId);
+
+// Load a call this user is on; once a device has picked it up, only that device may act on it
+const loadCall = async (callId, username, socketId) => {
+  const call = await Call.findById(callId);
+  // A callee who blocked the caller was never told about the call
+  if (!call || (call.caller !== username && (call.callee !== username || call.suppressed))) {
+    throw new ApiError(404, 'Call not found', 'CALL_NOT_FOUND');
+  }
+
+  const pinned = callSocket(call, username);
+  if (pinned && pinned !== socketId) {
+    throw new ApiError(409, 'Call is active on another device', 'CALL_ON_OTHER_DEVICE');
+  }
+  return call;
+};
+
+const callStateError = (state) => new ApiError(
+  409,
+  state === 'ringing' ? 'Call is no longer ringing' : 'Call is not in progress',
+  'INVALID_CALL_STATE'
+);
+
+const assertCallState = (call, state) => {
+  if (call.state !== state) throw callStateError(state);
+};
+
+// A suppressed call (the callee blocked the caller) never reaches the callee
+const emitToCallParties = (call, event, payload) => {
+  emitToUser(call.caller, event, payload);
+  if (!call.suppressed) emitToUser(call.callee, event, payload);
+};
+
+// Tell both sides and record the call in their history
+const finishCall = async (call, outcome, endedBy) => {
+  const endedAt = new Date();
+  const duration = call.answeredAt ? Math.round((endedAt - call.answeredAt) / 1000) : 0;
+
+  emitToCallParties(call, CALL_END_EVENTS[outcome], {
+    callId: call._id,
+    caller: call.caller,
+    callee: call.callee,
+    outcome,
+    endedBy,
+    duration
+  });
+
+  await createSystemMessage(call.caller, { receiver: call.callee, suppressed: call.suppressed }, 'call', {
+    callId: call._id,
+    media: call.media,
+    outcome,
+    startedAt: call.startedAt,
+    answeredAt: call.answeredAt || null,
+    endedAt,
+    duration
+  });
+};
+
+// End a call that is still in `call.state`. Timeouts, hangups and disconnects
+// can race from different instances; only the one that removes the call wins.
+const endCall = async (call, outcome, endedBy = null) => {
+  clearTimeout(ringTimers.get(call._id.toString()));
+  ringTimers.delete(call._id.toString());
+
+  const ended = await Call.findOneAndDelete({ _id: call._id, state: call.state });
+  if (!ended) return false;
+
+  await finishCall(ended, outcome, endedBy);
+  return true;
+};
+
+const inviteCall = async (caller, socketId, { callee, media }) => {
+  if (callee === caller) {
+    throw new ApiError(400, 'Cannot call yourself', 'INVALID_TARGET');
+  }
+  if (!await User.exists({ username: callee })) {
+    throw new ApiError(404, 'User not found', 'USER_NOT_FOUND');
+  }
+
+  const { suppressed } = await checkDirectBlock(caller, callee);
+
+  const call = new Call({
+    caller,
+    callee,
+    media,
+    suppressed,
+    callerSocketId: socketId,
+    // A callee who blocked the caller just never picks up, whether busy or not
+    participants: suppressed ? [caller] : [caller, callee]
+  });
+
+  try {
+    await call.save();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    if (await Call.exists({ participants: caller })) {
+      throw new ApiError(409, 'You are already on a call', 'ALREADY_IN_CALL');
+    }
+    // The callee is on another call; it never rings but still shows up in history
+    await finishCall(call, 'busy', null);
+    return call;
+  }
+
+  const timer = setTimeout(() => {
+    endCall(call, 'missed').catch(error => logger.error('Call timeout error', { error }));
+  }, CALL_RING_TIMEOUT_MS);
+  timer.unref();
+  ringTimers.set(call._id.toString(), timer);
+
+  io.to(socketId).emit('call_ringing', { callId: call._id, callee, media });
+  if (!suppressed) {
+    emitToUser(callee, 'call_incoming', { callId: call._id, caller, media, startedAt: call.startedAt });
+  }
+  return call;
+};
+
+const acceptCall = async (username, socketId, callId) => {
+  const call = await loadCall(callId, username, socketId);
+  if (username !== call.callee) {
+    throw new ApiError(403, 'Only the callee can accept this call', 'FORBIDDEN');
+  }
+  assertCallState(call, 'ringing');
+
+  const answered = await Call.findOneAndUpdate(
+    { _id: call._id, state: 'ringing' },
+    { state: 'active', calleeSocketId: socketId, answeredAt: new Date() },
+    { new: true }
+  );
+  if (!answered) throw callStateError('ringing');
+
+  io.to(answered.callerSocketId).emit('call_accepted', { callId: answered._id, answeredAt: answered.answeredAt });
+  // The callee's other devices stop ringing
+  io.to(answered.callee).except(socketId).emit('call_answered_elsewhere', { callId: answered._id });
+  return answered;
+};
+
+// Decline, cancel and hang up all end the call from a known state
+const endCallAs = async (username, socketId, callId, { role, action, state, outcome }) => {
+  const call = await loadCall(callId, username, socketId);
+  if (role && call[role] !== username) {
+    throw new ApiError(403, `Only the ${role} can ${action} this call`, 'FORBIDDEN');
+  }
+  assertCallState(call, state);
+
+  if (!await endCall(call, outcome, username)) throw callStateError(state);
+};
+
+const declineCall = (username, socketId, callId) =>
+  endCallAs(username, socketId, callId, { role: 'callee', action: 'decline', state: 'ringing', outcome: 'declined' });
+
+const cancelCall = (username, socketId, callId) =>
+  endCallAs(username, socketId, callId, { role: 'caller', action: 'cancel', state: 'ringing', outcome: 'cancelled' });
+
+const hangupCall = (username, socketId, callId) =>
+  endCallAs(username, socketId, callId, { state: 'active', outcome: 'answered' });
+
+// Forward SDP/ICE to the other side: their answering device, or every device while it still rings
+const relayCallSignal = async (username, socketId, callId, event, payload) => {
+  const call = await loadCall(callId, username, socketId);
+  const peer = callPeer(call, username);
+  if (peer === call.callee && call.suppressed) return;
+
+  io.to(callSocket(call, peer) || peer).emit(event, { callId: call._id, from: username, ...payload });
+};
+
+// A device that drops mid-call ends it as if it had hung up
+const endCallsForSocket = async (username, socketId) => {
+  const call = await Call.findOne({ $or: [{ callerSocketId: socketId }, { calleeSocketId: socketId }] });
+  if (!call) return;
+
+  if (call.state === 'active') {
+    await endCall(call, 'answered', username);
+  } else if (username === call.caller) {
+    await endCall(call, 'cancelled', username);
+  }
+};
+
+// Calls whose instance went away: ringing past the timeout, or answered
+// with a device that is no longer connected anywhere
+const sweepStaleCalls = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  const unanswered = await Call.find({
+    state: 'ringing',
+    startedAt: { $lt: new Date(Date.now() - CALL_RING_TIMEOUT_MS - CALL_SWEEP_INTERVAL_MS) }
+  });
+  for (const call of unanswered) {
+    await endCall(call, 'missed');
+  }
+
+  const active = await Call.find({ state: 'active' });
+  if (active.length === 0) return;
+
+  const socketIds = active.flatMap(call => [call.callerSocketId, call.calleeSocketId]);
+  const connected = new Set((await io.in(socketIds).fetchSockets()).map(socket => socket.id));
+  for (const call of active) {
+    if (!connected.has(call.callerSocketId) || !connected.has(call.calleeSocketId)) {
+      await endCall(call, 'answered');
+    }
+  }
+};
+
+setInterval(() => {
+  sweepStaleCalls().catch(error => logger.error('Call sweep error', { error }));
+}, CALL_SWEEP_INTERVAL_MS).unref();
+
+const callSchemas = {
+  invite: z.object({
+    callee: schemas.username,
+    media: z.enum(['audio', 'video']).default('audio')
+  }),
+  call: z.object({ callId: schemas.objectId }),
+  description: z.object({
+    callId: schemas.objectId,
+    sdp: z.string().min(1).max(MAX_SDP_LENGTH)
+  }),
+  candidate: z.object({
+    callId: schemas.objectId,
+    candidate: z.object({
+      candidate: z.string().max(MAX_ICE_CANDIDATE_LENGTH),
+      sdpMid: z.string().max(64).nullable().optional(),
+      sdpMLineIndex: z.number().int().min(0).nullable().optional(),
+      usernameFragment: z.string().max(256).nullable().optional()
+    })
+  })
+};
+
+// ==================== ATTACHMENTS ====================
+// Clients encrypt files themselves and upload the opaque blob in chunks:
+//   POST /api/attachments { size }           -> attachmentId
+//   PUT  /api/attachments/:id/content        -> append a chunk at Upload-Offset
+//   HEAD /api/attachments/:id                -> current Upload-Offset, to resume
+// Messages then list the attachment ids; only conversation participants can download.
+
+const MAX_ATTACHMENT_BYTES = Number(process.env.MAX_ATTACHMENT_BYTES) || 25 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+const ATTACHMENT_ORPHAN_TTL_MS = (Number(process.env.ATTACHMENT_ORPHAN_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const ATTACHMENT_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+// Uploads not yet on a message or avatar hold disk space until the orphan
+// sweep; these cap how much of it one user can hold at a time
+const MAX_PENDING_ATTACHMENTS = Number(process.env.MAX_PENDING_ATTACHMENTS) || 20;
+const MAX_PENDING_ATTACHMENT_BYTES = Number(process.env.MAX_PENDING_ATTACHMENT_BYTES) || 200 * 1024 * 1024;
+// A chunk lock older than this belongs to a request (or instance) that died
+const CHUNK_LOCK_TTL_MS = 15 * 60 * 1000;
+
+// Blob storage interface: append(key, stream), createReadStream(key),
+// truncate(key, size), remove(key). Swap this instance to store blobs elsewhere.
+class LocalBlobStorage {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  pathFor(key) {
+    if (!/^[a-f0-9]{24}$/.test(key)) {
+      throw new Error(`Invalid blob key: ${key}`);
+    }
+    return path.join(this.directory, key);
+  }
+
+  async append(key, readable) {
+    await pipeline(readable, fs.createWriteStream(this.pathFor(key), { flags: 'a' }));
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.pathFor(key));
+  }
+
+  async truncate(key, size) {
+    await fs.promises.truncate(this.pathFor(key), size).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  async remove(key) {
+    await fs.promises.unlink(this.pathFor(key)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+}
+
+const blobStorage = new LocalBlobStorage(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
+
+const serializeAttachment = (attachment) => ({
+  _id: attachment._id,
+  owner: attachment.owner,
+  size: attachment.size,
+  received: attachment.received,
+  contentType: attachment.contentType,
+  status: attachment.status,
+  createdAt: attachment.createdAt,
+  completedAt: attachment.completedAt || null
+});
+
+const loadAttachment = async (attachmentId) => {
+  if (!attachmentId || !mongoose.Types.ObjectId.isValid(attachmentId)) {
+    throw new ApiError(404, 'Attachment not found', 'ATTACHMENT_NOT_FOUND');
+  }
+  const attachment = await Attachment.findById(attachmentId);
+  if (!attachment) {
+    throw new ApiError(404, 'Attachment not found', 'ATTACHMENT_NOT_FOUND');
+  }
+  return attachment;
+};
+
+const loadOwnAttachment = async (attachmentId, username) => {
+  const attachment = await loadAttachment(attachmentId);
+  if (attachment.owner !== username) {
+    throw new ApiError(404, 'Attachment not found', 'ATTACHMENT_NOT_FOUND');
+  }
+  return attachment;
+};
+
+// The uploader, anyone who can see a message that carries the attachment,
+// or anyone at all if it is someone's avatar
+const canAccessAttachment = async (attachment, username) => {
+  if (attachment.owner === username) return true;
+  if (await User.exists({ avatar: attachment._id })) return true;
+
+  const messages = await Message.find(
+    { attachments: attachment._id, ...visibleTo(username) },
+    'sender receiver conversationId'
+  );
+
+  if (messages.some(message => !message.conversationId &&
+      (message.sender === username || message.receiver === username))) {
+    return true;
+  }
+
+  const groupIds = messages
+    .filter(message => message.conversationId)
+    .map(message => message.conversationId);
+  if (groupIds.length === 0) return false;
+
+  return !!(await Conversation.exists({ _id: { $in: groupIds }, 'members.username': username }));
+};
+
+// Messages may only carry the sender's own, fully uploaded attachments
+const resolveAttachments = async (attachmentIds, sender) => {
+  if (attachmentIds === undefined) return [];
+
+  const ids = [...new Set(attachmentIds)];
+  if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    throw new ApiError(400, `A message can carry at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments`, 'TOO_MANY_ATTACHMENTS');
+  }
+
+  const attachments = await Attachment.find(
+    { _id: { $in: ids }, owner: sender, status: 'complete' },
+    '_id'
+  );
+  if (attachments.length !== ids.length) {
+    throw new ApiError(400, 'Attachments must be fully uploaded by the sender', 'ATTACHMENT_NOT_READY');
+  }
+
+  return attachments.map(attachment => attachment._id);
+};
+
+// Counts bytes going through and fails once more than `limit` have passed
+const byteLimiter = (limit) => {
+  let seen = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      seen += chunk.length;
+      if (seen > limit) {
+        return callback(new ApiError(413, 'Chunk exceeds the declared attachment size', 'PAYLOAD_TOO_LARGE'));
+      }
+      callback(null, chunk);
+    }
+  });
+  limiter.bytesSeen = () => seen;
+  return limiter;
+};
+
+const chunkLockStaleBefore = () => new Date(Date.now() - CHUNK_LOCK_TTL_MS);
+
+// Take the chunk lock, but only if the upload is still at `offset`; on failure
+// report why from the current state
+const claimChunk = async (attachment, offset) => {
+  const lockedAt = new Date();
+  const claimed = await Attachment.findOneAndUpdate({
+    _id: attachment._id,
+    status: 'uploading',
+    received: offset,
+    $or: [{ chunkLockedAt: null }, { chunkLockedAt: { $lt: chunkLockStaleBefore() } }]
+  }, { chunkLockedAt: lockedAt }, { new: true });
+  if (claimed) return claimed;
+
+  const current = await loadAttachment(attachment._id);
+  if (current.status === 'complete') {
+    throw new ApiError(409, 'Upload already complete', 'UPLOAD_COMPLETE');
+  }
+  if (current.received !== offset) {
+    throw new ApiError(409, 'Upload-Offset does not match the uploaded size', 'UPLOAD_OFFSET_MISMATCH', {
+      offset: current.received
+    });
+  }
+  throw new ApiError(409, 'Another chunk is already being uploaded', 'UPLOAD_IN_PROGRESS');
+};
+
+const isAttachmentReferenced = async (attachmentId) =>
+  !!(await Message.exists({ attachments: attachmentId }) || await User.exists({ avatar: attachmentId }));
+
+// Mark attachments as in use so the orphan sweep never has to look at them again
+const linkAttachments = async (attachmentIds) => {
+  const ids = attachmentIds.filter(Boolean);
+  if (ids.length === 0) return;
+  await Attachment.updateMany({ _id: { $in: ids }, linkedAt: null }, { linkedAt: new Date() });
+};
+
+// After a message or avatar lets go of attachments, hand the ones nothing else
+// references back to the orphan sweep
+const unlinkAttachments = async (attachmentIds) => {
+  for (const attachmentId of new Set(attachmentIds.filter(Boolean).map(String))) {
+    if (!(await isAttachmentReferenced(attachmentId))) {
+      await Attachment.updateOne({ _id: attachmentId }, { $unset: { linkedAt: 1 } });
+    }
+  }
+};
+
+// Drop blobs that no message or avatar references once they are old enough.
+// Only unlinked attachments are candidates, so the cost tracks abandoned
+// uploads rather than everything ever uploaded.
+const sweepOrphanedAttachments = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  const cutoff = new Date(Date.now() - ATTACHMENT_ORPHAN_TTL_MS);
+  const candidates = await Attachment.find({ linkedAt: null, createdAt: { $lt: cutoff } }, '_id chunkLockedAt');
+
+  for (const attachment of candidates) {
+    if (attachment.chunkLockedAt && attachment.chunkLockedAt > chunkLockStaleBefore()) continue;
+    // Attachments linked before linkedAt existed, or while a send was in flight
+    if (await isAttachmentReferenced(attachment._id)) {
+      await linkAttachments([attachment._id]);
+      continue;
+    }
+
+    await blobStorage.remove(attachment._id.toString());
+    await Attachment.deleteOne({ _id: attachment._id });
+    logger.info('Removed orphaned attachment', { attachmentId: attachment._id });
+  }
+};
+
+setInterval(() => {
+  sweepOrphanedAttachments().catch(error => logger.error('Attachment sweep error', { error }));
+}, ATTACHMENT_SWEEP_INTERVAL_MS).unref();
+
+const attachmentSchemas = {
+  create: z.object({
+    size: z.number().int().min(1).max(MAX_ATTACHMENT_BYTES),
+    contentType: z.string().max(100).optional()
+  }),
+  attachment: z.object({ attachmentId: schemas.objectId })
+};
+
+// Reserved space counts from the start of an upload until something links it
+const assertUploadQuota = async (owner, size) => {
+  const [pending] = await Attachment.aggregate([
+    { $match: { owner, linkedAt: null } },
+    { $group: { _id: null, count: { $sum: 1 }, bytes: { $sum: '$size' } } }
+  ]);
+  if (!pending) return;
+
+  if (pending.count >= MAX_PENDING_ATTACHMENTS || pending.bytes + size > MAX_PENDING_ATTACHMENT_BYTES) {
+    throw new ApiError(
+      409,
+      'Too many unsent uploads; send or finish the ones in progress first',
+      'UPLOAD_QUOTA_EXCEEDED',
+      { maxPendingUploads: MAX_PENDING_ATTACHMENTS, maxPendingBytes: MAX_PENDING_ATTACHMENT_BYTES }
+    );
+  }
+};
+
+// 📎 START AN UPLOAD
+app.post('/api/attachments', authenticate, rateLimit('attachmentUpload'), validate({ body: attachmentSchemas.create }), async (req, res) => {
+  try {
+    const { size, contentType } = req.body;
+    await assertUploadQuota(req.user.username, size);
+
+    const attachment = new Attachment({
+      owner: req.user.username,
+      size,
+      contentType
+    });
+    await attachment.save();
+
+    res.status(201).json({
+      success: true,
+      attachment: serializeAttachment(attachment),
+      maxAttachmentBytes: MAX_ATTACHMENT_BYTES
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Create attachment');
+  }
+});
+
+// 📎 UPLOAD OFFSET (for resuming)
+app.head('/api/attachments/:attachmentId', authenticate, validate({ params: attachmentSchemas.attachment }), async (req, res) => {
+  try {
+    const attachment = await loadOwnAttachment(req.params.attachmentId, req.user.username);
+
+    res.set({
+      'Upload-Offset': String(attachment.received),
+      'Upload-Length': String(attachment.size),
+      'Cache-Control': 'no-store'
+    });
+    res.status(200).end();
+  } catch (error) {
+    res.status(error instanceof ApiError ? error.status : 500).end();
+  }
+});
+
+// 📎 APPEND A CHUNK (body is raw bytes, Upload-Offset says where it starts)
+app.put('/api/attachments/:attachmentId/content', authenticate, validate({ params: attachmentSchemas.attachment }), async (req, res) => {
+  let attachment;
+  try {
+    attachment = await loadOwnAttachment(req.params.attachmentId, req.user.username);
+    const key = attachment._id.toString();
+
+    if (attachment.status === 'complete') {
+      throw new ApiError(409, 'Upload already complete', 'UPLOAD_COMPLETE');
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset !== attachment.received) {
+      throw new ApiError(
+        409,
+        'Upload-Offset does not match the uploaded size',
+        'UPLOAD_OFFSET_MISMATCH',
+        { offset: attachment.received }
+      );
+    }
+
+    // Two requests for the same offset may land on different instances; only
+    // the one that claims the lock appends
+    attachment = await claimChunk(attachment, offset);
+    const { chunkLockedAt } = attachment;
+
+    const limiter = byteLimiter(attachment.size - attachment.received);
+    try {
+      await blobStorage.append(key, req.pipe(limiter));
+    } catch (error) {
+      // Roll the blob back so the next attempt can resume from the last good offset
+      await blobStorage.truncate(key, attachment.received);
+      await Attachment.updateOne({ _id: attachment._id, chunkLockedAt }, { $unset: { chunkLockedAt: 1 } });
+      throw error;
+    }
+
+    const received = attachment.received + limiter.bytesSeen();
+    const complete = received === attachment.size;
+    attachment = await Attachment.findOneAndUpdate({ _id: attachment._id, chunkLockedAt }, {
+      $set: {
+        received,
+        ...(complete && { status: 'complete', completedAt: new Date() })
+      },
+      $unset: { chunkLockedAt: 1 }
+    }, { new: true });
+    if (!attachment) {
+      // The lock went stale mid-write and someone else took over
+      throw new ApiError(409, 'Chunk upload took too long, resume from the current offset', 'UPLOAD_IN_PROGRESS');
+    }
+
+    res.json({
+      success: true,
+      attachment: serializeAttachment(attachment)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Upload attachment');
+  }
+});
+
+// 📎 ATTACHMENT METADATA
+app.get('/api/attachments/:attachmentId', authenticate, validate({ params: attachmentSchemas.attachment }), async (req, res) => {
+  try {
+    const attachment = await loadAttachment(req.params.attachmentId);
+    if (!(await canAccessAttachment(attachment, req.user.username))) {
+      throw new ApiError(404, 'Attachment not found', 'ATTACHMENT_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      attachment: serializeAttachment(attachment)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Get attachment');
+  }
+});
+
+// 📎 DOWNLOAD (encrypted bytes, conversation participants only)
+app.get('/api/attachments/:attachmentId/content', authenticate, validate({ params: attachmentSchemas.attachment }), async (req, res) => {
+  try {
+    const attachment = await loadAttachment(req.params.attachmentId);
+    if (!(await canAccessAttachment(attachment, req.user.username))) {
+      throw new ApiError(404, 'Attachment not found', 'ATTACHMENT_NOT_FOUND');
+    }
+    if (attachment.status !== 'complete') {
+      throw new ApiError(409, 'Upload not complete', 'ATTACHMENT_NOT_READY');
+    }
+
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': String(attachment.size),
+      'Cache-Control': 'private, no-store'
+    });
+
+    await pipeline(blobStorage.createReadStream(attachment._id.toString()), res);
+  } catch (error) {
+    if (res.headersSent) {
+      logger.error('Download attachment error', { error });
+      res.destroy(error);
+      return;
+    }
+    handleRouteError(res, error, 'Download attachment');
+  }
+});
+
+// ==================== INCREMENTAL SYNC ====================
+
+const syncQuery = z.object({
+  // An ISO date or a millisecond timestamp
+  since: z.string().transform((value, ctx) => {
+    const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+    if (Number.isNaN(date.getTime())) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'since must be an ISO date or a millisecond timestamp' });
+      return z.NEVER;
+    }
+    return date;
+  }).optional(),
+  sinceId: schemas.objectId.optional(),
+  limit: schemas.limit
+});
+
+// Messages stored before updatedAt existed get their send time, so sync sees them
+const backfillMessageUpdatedAt = async () => {
+  const { modifiedCount } = await Message.updateMany(
+    { updatedAt: { $exists: false } },
+    [{ $set: { updatedAt: '$timestamp' } }],
+    { timestamps: false }
+  );
+  if (modifiedCount > 0) logger.info('Backfilled message updatedAt', { modifiedCount });
+};
+
+mongoose.connection.once('open', () => {
+  backfillMessageUpdatedAt().catch(error => logger.error('Message updatedAt backfill error', { error }));
+});
+
+// 🔄 EVERYTHING NEW OR CHANGED SINCE A POINT IN TIME
+// Walks messages across all of the user's conversations by last change, oldest-first,
+// in pages. `messages` were sent after `since`; `changes` are older messages that
+// were edited, recalled, reacted to or read since then (when paging, a change may
+// be to a message the client hasn't seen yet, so apply both by _id).
+// `hiddenMessageIds` were deleted for this user on another device.
+// Clients pass back `cursor.since` and `cursor.sinceId` until `hasMore` is false.
+app.get('/api/sync', authenticate, validate({ query: syncQuery }), async (req, res) => {
+  try {
+    const { username } = req.user;
+    const { since, sinceId, limit } = req.query;
+
+    const sinceDate = since || new Date(0);
+
+    const pageSize = parseLimit(limit, SYNC_PAGE_SIZE, SYNC_PAGE_SIZE);
+    const serverTime = new Date();
+
+    const groups = await Conversation.find({ type: 'group', 'members.username': username });
+    const groupIds = groups.map(group => group._id);
+
+    // Ties on updatedAt are broken by _id so paging never skips a message
+    const changedAfterCursor = sinceId
+      ? {
+          $or: [
+            { updatedAt: { $gt: sinceDate } },
+            { updatedAt: sinceDate, _id: { $gt: new mongoose.Types.ObjectId(sinceId) } }
+          ]
+        }
+      : { updatedAt: { $gt: sinceDate } };
+
+    // Same as visibleTo(), except messages hidden for this user are kept so
+    // other devices learn about delete-for-me
+    const page = await Message.find({
+      $and: [
+        {
+          $or: [
+            { sender: username, receiver: { $exists: true } },
+            { receiver: username },
+            { conversationId: { $in: groupIds } }
+          ]
+        },
+        {
+          $nor: [
+            { suppressed: true, sender: { $ne: username } },
+            { expiresAt: { $lte: serverTime } }
+          ]
+        },
+        changedAfterCursor
+      ]
+    })
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(pageSize + 1)
+      .populate('replyTo', REPLY_PREVIEW_FIELDS);
+
+    const hasMore = page.length > pageSize;
+    const rows = page.slice(0, pageSize);
+    const last = rows[rows.length - 1];
+
+    const serializeSynced = (message) => (message.conversationId
+      ? { ...serializeGroupMessage(message), ...groupReceiptFields(message) }
+      : { ...serializeDirectMessage(message), ...directReceiptFields(message) });
+    const visible = rows.filter(message => !message.hiddenFor.includes(username));
+
+    res.json({
+      success: true,
+      serverTime,
+      messages: visible.filter(message => message.timestamp > sinceDate).map(serializeSynced),
+      changes: visible.filter(message => message.timestamp <= sinceDate).map(serializeSynced),
+      hiddenMessageIds: rows
+        .filter(message => message.hiddenFor.includes(username))
+        .map(message => message._id),
+      groups: groups
+        .filter(group => group.updatedAt > sinceDate)
+        .map(serializeGroup),
+      hasMore,
+      cursor: last
+        ? { since: last.updatedAt, sinceId: last._id }
+        : { since: sinceDate, sinceId: sinceId || null }
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Sync');
+  }
+});
+
+// ==================== E2E KEY DIRECTORY ====================
+
+const MAX_KEY_LENGTH = 1024;
+const MAX_PREKEYS_PER_UPLOAD = 100;
+const MAX_STORED_PREKEYS = 200;
+const PREKEY_LOW_WATERMARK = 10;
+
+const keyString = z.string().min(1).max(MAX_KEY_LENGTH);
+const keyId = z.number().int().nonnegative();
+
+const signedPreKeySchema = z.object({ keyId, publicKey: keyString, signature: keyString });
+const oneTimePreKeyList = z.array(z.object({ keyId, publicKey: keyString })).max(MAX_PREKEYS_PER_UPLOAD);
+
+const keySchemas = {
+  device: z.object({ deviceId: z.string().min(1).max(128) }),
+  user: z.object({ username: schemas.username }),
+  userDevice: z.object({ username: schemas.username, deviceId: z.string().min(1).max(128) }),
+  upload: z.object({
+    identityKey: keyString,
+    signedPreKey: signedPreKeySchema,
+    oneTimePreKeys: oneTimePreKeyList.default([])
+  }),
+  signedPreKey: signedPreKeySchema,
+  oneTimePreKeys: z.object({ oneTimePreKeys: oneTimePreKeyList })
+};
+
+const stampSignedPreKey = (signedPreKey) => ({ ...signedPreKey, createdAt: new Date() });
+
+// Everyone who should hear about this user's key changes: friends and group co-members
+const keyChangeAudience = async (username) => {
+  const [friends, groups] = await Promise.all([
+    Friend.find({
+      $or: [{ userId: username }, { friendUsername: username }],
+      status: 'accepted'
+    }, 'userId friendUsername'),
+    Conversation.find({ type: 'group', 'members.username': username }, 'members.username')
+  ]);
+
+  const audience = new Set([username]);
+  friends.forEach(friend => {
+    audience.add(friend.userId === username ? friend.friendUsername : friend.userId);
+  });
+  groups.forEach(group => group.members.forEach(member => audience.add(member.username)));
+  return [...audience];
+};
+
+// Lets clients re-verify safety numbers; `change` is added | changed | removed
+const notifyKeyChange = async (username, deviceId, identityKey, change) => {
+  const audience = await keyChangeAudience(username);
+  audience.forEach(target => emitToUser(target, 'identity_key_changed', {
+    username,
+    deviceId,
+    identityKey,
+    change,
+    changedAt: new Date()
+  }));
+};
+
+const serializeDeviceKeys = (deviceKeys) => ({
+  deviceId: deviceKeys.deviceId,
+  identityKey: deviceKeys.identityKey,
+  signedPreKey: deviceKeys.signedPreKey && {
+    keyId: deviceKeys.signedPreKey.keyId,
+    publicKey: deviceKeys.signedPreKey.publicKey,
+    signature: deviceKeys.signedPreKey.signature
+  },
+  oneTimePreKeyCount: deviceKeys.oneTimePreKeys.length,
+  updatedAt: deviceKeys.updatedAt
+});
+
+// 🔑 UPLOAD / ROTATE DEVICE KEYS
+// Body: { identityKey, signedPreKey: { keyId, publicKey, signature }, oneTimePreKeys: [{ keyId, publicKey }] }
+// A new identity key replaces the whole bundle, including any unclaimed prekeys.
+app.put('/api/keys/devices/:deviceId', authenticate, validate({
+  params: keySchemas.device,
+  body: keySchemas.upload
+}), async (req, res) => {
+  try {
+    const { username } = req.user;
+    const { deviceId } = req.params;
+    const { identityKey, oneTimePreKeys } = req.body;
+    const signedPreKey = stampSignedPreKey(req.body.signedPreKey);
+
+    const existing = await DeviceKeys.findOne({ username, deviceId });
+    const change = !existing ? 'added'
+      : existing.identityKey !== identityKey ? 'changed'
+      : null;
+
+    const deviceKeys = existing || new DeviceKeys({ username, deviceId });
+    deviceKeys.identityKey = identityKey;
+    deviceKeys.signedPreKey = signedPreKey;
+    deviceKeys.oneTimePreKeys = change
+      ? oneTimePreKeys
+      : [...deviceKeys.oneTimePreKeys, ...oneTimePreKeys].slice(-MAX_STORED_PREKEYS);
+    await deviceKeys.save();
+
+    if (change) {
+      await notifyKeyChange(username, deviceId, identityKey, change);
+    }
+
+    res.json({
+      success: true,
+      message: 'Device keys saved',
+      device: serializeDeviceKeys(deviceKeys)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Upload device keys');
+  }
+});
+
+// 🔑 ROTATE SIGNED PREKEY
+app.put('/api/keys/devices/:deviceId/signed-prekey', authenticate, validate({
+  params: keySchemas.device,
+  body: keySchemas.signedPreKey
+}), async (req, res) => {
+  try {
+    const signedPreKey = stampSignedPreKey(req.body);
+
+    const deviceKeys = await DeviceKeys.findOneAndUpdate(
+      { username: req.user.username, deviceId: req.params.deviceId },
+      { signedPreKey },
+      { new: true }
+    );
+
+    if (!deviceKeys) {
+      throw new ApiError(404, 'Device keys not found', 'NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      message: 'Signed prekey rotated',
+      device: serializeDeviceKeys(deviceKeys)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Rotate signed prekey');
+  }
+});
+
+// 🔑 ADD ONE-TIME PREKEYS
+app.post('/api/keys/devices/:deviceId/one-time-prekeys', authenticate, validate({
+  params: keySchemas.device,
+  body: keySchemas.oneTimePreKeys
+}), async (req, res) => {
+  try {
+    const { oneTimePreKeys } = req.body;
+
+    const deviceKeys = await DeviceKeys.findOneAndUpdate(
+      { username: req.user.username, deviceId: req.params.deviceId },
+      { $push: { oneTimePreKeys: { $each: oneTimePreKeys, $slice: -MAX_STORED_PREKEYS } } },
+      { new: true }
+    );
+
+    if (!deviceKeys) {
+      throw new ApiError(404, 'Device keys not found', 'NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      message: 'One-time prekeys added',
+      oneTimePreKeyCount: deviceKeys.oneTimePreKeys.length
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Add one-time prekeys');
+  }
+});
+
+// 🔑 REMOVE A DEVICE FROM THE DIRECTORY
+app.delete('/api/keys/devices/:deviceId', authenticate, validate({ params: keySchemas.device }), async (req, res) => {
+  try {
+    const { username } = req.user;
+    const { deviceId } = req.params;
+
+    const deviceKeys = await DeviceKeys.findOneAndDelete({ username, deviceId });
+    if (!deviceKeys) {
+      throw new ApiError(404, 'Device keys not found', 'NOT_FOUND');
+    }
+
+    await notifyKeyChange(username, deviceId, null, 'removed');
+
+    res.json({
+      success: true,
+      message: 'Device keys removed'
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Remove device keys');
+  }
+});
+
+// 🔑 LIST A USER'S DEVICES (identity keys only, no prekeys consumed)
+app.get('/api/keys/:username', authenticate, validate({ params: keySchemas.user }), async (req, res) => {
+  try {
+    const devices = await DeviceKeys.find({ username: req.params.username })
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      username: req.params.username,
+      devices: devices.map(serializeDeviceKeys)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Get device keys');
+  }
+});
+
+// 🔑 CLAIM A PREKEY BUNDLE (consumes one one-time prekey)
+// Limited per claimant and per target device, so nobody can drain a device's prekeys
+app.post('/api/keys/:username/devices/:deviceId/bundle', authenticate, validate({
+  params: keySchemas.userDevice
+}), rateLimit('prekeyClaim', req => `${req.params.username}/${req.params.deviceId}`), async (req, res) => {
+  try {
+    const { username, deviceId } = req.params;
+
+    // Pop atomically so two senders never get the same one-time prekey
+    const before = await DeviceKeys.findOneAndUpdate(
+      { username, deviceId },
+      { $pop: { oneTimePreKeys: -1 } }
+    );
+
+    if (!before) {
+      throw new ApiError(404, 'Device keys not found', 'NOT_FOUND');
+    }
+
+    const oneTimePreKey = before.oneTimePreKeys[0] || null;
+    const remaining = Math.max(before.oneTimePreKeys.length - 1, 0);
+
+    if (remaining < PREKEY_LOW_WATERMARK) {
+      emitToUser(username, 'prekeys_low', { deviceId, remaining });
+    }
+
+    res.json({
+      success: true,
+      bundle: {
+        username,
+        deviceId,
+        identityKey: before.identityKey,
+        signedPreKey: {
+          keyId: before.signedPreKey.keyId,
+          publicKey: before.signedPreKey.publicKey,
+          signature: before.signedPreKey.signature
+        },
+        oneTimePreKey: oneTimePreKey && {
+          keyId: oneTimePreKey.keyId,
+          publicKey: oneTimePreKey.publicKey
+        }
+      }
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Claim prekey bundle');
+  }
+});
+
+// ==================== ACCOUNT MANAGEMENT ====================
+
+const EXPORT_TTL_MS = (Number(process.env.EXPORT_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const EXPORT_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const EXPORT_HEARTBEAT_MS = 30 * 1000;
+
+const exportStorage = new LocalBlobStorage(process.env.EXPORT_DIR || path.join(blobStorage.directory, 'exports'));
+
+// Re-check the password before anything destructive
+const verifyPassword = async (username, password) => {
+  const user = await User.findOne({ username });
+  if (!user) {
+    throw new ApiError(404, 'User not found', 'USER_NOT_FOUND');
+  }
+  if (!(await bcrypt.compare(password, user.password))) {
+    throw new ApiError(400, 'Password is incorrect', 'INVALID_CREDENTIALS');
+  }
+  return user;
+};
+
+// Everything in the archive that isn't a message
+const exportAccountData = async (user) => {
+  const { username } = user;
+  const [relations, groups, devices, sessions] = await Promise.all([
+    Friend.find({ $or: [{ userId: username }, { friendUsername: username }] }),
+    Conversation.find({ type: 'group', 'members.username': username }),
+    DeviceKeys.find({ username }),
+    Session.find({ username, revokedAt: null })
+  ]);
+
+  const other = (relation) => (relation.userId === username ? relation.friendUsername : relation.userId);
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      ...serializeOwnProfile(user),
+      presence: { status: user.presenceStatus, statusText: user.statusText, lastSeen: user.lastSeen || null }
+    },
+    friends: relations.filter(relation => relation.status === 'accepted')
+      .map(relation => ({ username: other(relation), since: relation.createdAt })),
+    friendRequests: relations.filter(relation => relation.status === 'pending' &&
+        !(relation.suppressed && relation.friendUsername === username))
+      .map(relation => ({ ...serializeFriendRequest(relation), direction: relation.userId === username ? 'outgoing' : 'incoming' })),
+    blocked: relations.filter(relation => relation.status === 'blocked' && relation.userId === username)
+      .map(relation => ({ username: relation.friendUsername, blockedAt: relation.createdAt })),
+    groups: groups.map(serializeGroup),
+    devices: devices.map(serializeDeviceKeys),
+    sessions: sessions.map(session => ({
+      id: session._id,
+      deviceName: session.deviceName,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt
+    }))
+  };
+};
+
+// Message metadata plus the ciphertexts addressed to this user
+const exportMessage = (message, username) => ({
+  _id: message._id,
+  conversationId: message.conversationId || null,
+  sender: message.sender,
+  receiver: message.receiver || null,
+  timestamp: message.timestamp,
+  encryptedMessage: message.encryptedMessage || null,
+  ciphertexts: message.ciphertexts
+    .filter(entry => entry.username === username)
+    .map(({ deviceId, ciphertext }) => ({ deviceId, ciphertext })),
+  replyTo: message.replyTo || null,
+  attachments: message.attachments,
+  reactions: summarizeReactions(message.reactions),
+  deliveredTo: message.deliveredTo.map(({ username: name, at }) => ({ username: name, at })),
+  readBy: message.readBy.map(({ username: name, at }) => ({ username: name, at })),
+  editedAt: message.editedAt || null,
+  deletedAt: message.deletedAt || null
+});
+
+// Streams the archive as JSON so large histories never sit in memory
+async function* exportChunks(user) {
+  const { username } = user;
+  const account = await exportAccountData(user);
+  // Leave the object open so the messages can be streamed in after it
+  yield JSON.stringify(account).slice(0, -1);
+
+  const groupIds = account.groups.map(group => group._id);
+  const messages = Message.find({
+    $or: [
+      { sender: username },
+      { receiver: username, conversationId: null },
+      { conversationId: { $in: groupIds } }
+    ],
+    ...visibleTo(username)
+  }).sort({ timestamp: 1, _id: 1 }).cursor();
+
+  yield ',"messages":[';
+  let first = true;
+  for await (const message of messages) {
+    yield (first ? '' : ',') + JSON.stringify(exportMessage(message, username));
+    first = false;
+  }
+  yield ']}';
+}
+
+// Thrown inside runExport once its job is no longer `building`: the account was
+// deleted, or another instance gave the export up as interrupted
+class ExportCancelledError extends Error {}
+
+const runExport = async (exportJob) => {
+  const key = exportJob._id.toString();
+
+  // Every write is conditional on the job still building, so a cancelled export
+  // stops at its next write and removes whatever it already put on disk
+  const updateIfBuilding = async (update) => {
+    const { modifiedCount } = await DataExport.updateOne({ _id: exportJob._id, status: 'building' }, update);
+    if (modifiedCount !== 1) throw new ExportCancelledError('Export was cancelled');
+  };
+
+  try {
+    const { modifiedCount } = await DataExport.updateOne(
+      { _id: exportJob._id, status: 'pending' },
+      { status: 'building', heartbeatAt: new Date() }
+    );
+    if (modifiedCount !== 1) return;
+
+    const user = await User.findOne({ username: exportJob.username });
+    if (!user) throw new ExportCancelledError('User no longer exists');
+
+    let size = 0;
+    let lastHeartbeat = Date.now();
+    const counted = async function* () {
+      for await (const chunk of exportChunks(user)) {
+        size += Buffer.byteLength(chunk);
+        if (Date.now() - lastHeartbeat >= EXPORT_HEARTBEAT_MS) {
+          lastHeartbeat = Date.now();
+          await updateIfBuilding({ heartbeatAt: new Date() });
+        }
+        yield chunk;
+      }
+    };
+
+    await exportStorage.truncate(key, 0);
+    await exportStorage.append(key, Readable.from(counted()));
+
+    await updateIfBuilding({ status: 'complete', size, completedAt: new Date() });
+    emitToUser(exportJob.username, 'export_ready', { exportId: exportJob._id, status: 'complete', size });
+  } catch (error) {
+    await exportStorage.remove(key).catch(() => {});
+    if (error instanceof ExportCancelledError) {
+      logger.info('Data export cancelled', { exportId: key, reason: error.message });
+      return;
+    }
+
+    logger.error('Data export error', { error });
+    await DataExport.updateOne({ _id: exportJob._id, status: 'building' }, { status: 'failed', error: 'Export failed' })
+      .catch(() => {});
+    emitToUser(exportJob.username, 'export_ready', { exportId: exportJob._id, status: 'failed' });
+  }
+};
+
+const serializeExport = (exportJob) => ({
+  id: exportJob._id,
+  status: exportJob.status,
+  size: exportJob.size || null,
+  createdAt: exportJob.createdAt,
+  completedAt: exportJob.completedAt || null,
+  expiresAt: exportJob.expiresAt
+});
+
+const loadOwnExport = async (exportId, username) => {
+  const exportJob = await DataExport.findOne({ _id: exportId, username });
+  if (!exportJob) {
+    throw new ApiError(404, 'Export not found', 'EXPORT_NOT_FOUND');
+  }
+  return exportJob;
+};
+
+const sweepExpiredExports = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  const expired = await DataExport.find({ expiresAt: { $lt: new Date() } }, '_id');
+  for (const exportJob of expired) {
+    await exportStorage.remove(exportJob._id.toString());
+    await DataExport.deleteOne({ _id: exportJob._id });
+  }
+};
+
+setInterval(() => {
+  sweepExpiredExports().catch(error => logger.error('Export sweep error', { error }));
+}, EXPORT_SWEEP_INTERVAL_MS).unref();
+
+// Exports whose instance stopped mid-build will never finish. Other instances
+// may still be building theirs, so only exports that stopped heartbeating count.
+const failInterruptedExports = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  const stale = new Date(Date.now() - 3 * EXPORT_HEARTBEAT_MS);
+  await DataExport.updateMany(
+    {
+      status: { $in: ['pending', 'building'] },
+      $or: [{ heartbeatAt: { $lt: stale } }, { heartbeatAt: { $exists: false } }]
+    },
+    { status: 'failed', error: 'Interrupted by a server restart' }
+  );
+};
+
+setInterval(() => {
+  failInterruptedExports().catch(error => logger.error('Export recovery error', { error }));
+}, EXPORT_HEARTBEAT_MS).unref();
+
+// Remove the account. Content the user sent is wiped and every remaining
+// reference to them (their peers' history, receipts, inbox rows) is renamed to a
+// pseudonym that can never be registered, so a new account can't inherit it.
+const deleteAccount = async (user) => {
+  const { username } = user;
+  const alias = `deleted_${user._id}`;
+  const now = new Date();
+
+  const friends = await getFriendUsernames(username);
+
+  // Stop exports first: a running one notices at its next write and removes its
+  // archive, and one that already finished is removed with the others below
+  await DataExport.updateMany(
+    { username, status: { $in: ['pending', 'building'] } },
+    { status: 'cancelled' }
+  );
+
+  // Calls: end them the normal way so the other side is told
+  const calls = await Call.find({ $or: [{ caller: username }, { callee: username }] });
+  for (const call of calls) {
+    const outcome = call.state === 'active' ? 'answered' : (username === call.caller ? 'cancelled' : 'declined');
+    await endCall(call, outcome, username);
+  }
+
+  // Groups: leave each one the normal way so members are told
+  const groups = await Conversation.find({ type: 'group', 'members.username': username }, '_id');
+  for (const group of groups) {
+    await leaveGroup(group._id, username);
+  }
+
+  // Key directory: contacts should drop this user's identity keys
+  const devices = await DeviceKeys.find({ username }, 'deviceId');
+  for (const device of devices) {
+    await notifyKeyChange(username, device.deviceId, null, 'removed');
+  }
+  await DeviceKeys.deleteMany({ username });
+
+  await Friend.deleteMany({ $or: [{ userId: username }, { friendUsername: username }] });
+
+  // Messages they sent become tombstones; everything else just loses their name
+  await Message.updateMany({ sender: username }, [
+    {
+      $set: {
+        sender: alias,
+        ciphertexts: [],
+        editHistory: [],
+        attachments: [],
+        deletedAt: { $ifNull: ['$deletedAt', now] }
+      }
+    },
+    { $unset: 'encryptedMessage' }
+  ]);
+  await Message.updateMany({ receiver: username }, { $set: { receiver: alias } });
+  await Message.updateMany(
+    { $or: [{ 'ciphertexts.username': username }, { 'reactions.username': username }, { hiddenFor: username }] },
+    { $pull: { ciphertexts: { username }, reactions: { username }, hiddenFor: username } }
+  );
+  for (const field of ['deliveredTo', 'readBy']) {
+    await Message.updateMany(
+      { [`${field}.username`]: username },
+      { $set: { [`${field}.$[entry].username`]: alias } },
+      { arrayFilters: [{ 'entry.username': username }] }
+    );
+  }
+
+  const attachments = await Attachment.find({ owner: username }, '_id');
+  for (const attachment of attachments) {
+    await blobStorage.remove(attachment._id.toString());
+  }
+  await Attachment.deleteMany({ owner: username });
+
+  const exportJobs = await DataExport.find({ username }, '_id');
+  for (const exportJob of exportJobs) {
+    await exportStorage.remove(exportJob._id.toString());
+  }
+  await DataExport.deleteMany({ username });
+
+  await ConversationSummary.deleteMany({ owner: username });
+  await ConversationSummary.updateMany({ peer: username }, { peer: alias });
+  await DirectChatSettings.deleteMany({ key: { $in: [new RegExp(`^${escapeRegex(username)}:`), new RegExp(`:${escapeRegex(username)}$`)] } });
+
+  // Signs out every device and disconnects their sockets
+  await revokeSessions({ username });
+  await Session.deleteMany({ username });
+  await User.deleteOne({ _id: user._id });
+
+  friends.forEach(friend => {
+    emitToUser(friend, 'friend_removed', { username });
+    emitToUser(friend, 'account_deleted', { username });
+  });
+};
+
+const accountSchemas = {
+  changePassword: z.object({
+    currentPassword: schemas.password,
+    newPassword: schemas.newPassword
+  }),
+  deleteAccount: z.object({
+    password: schemas.password,
+    // Required when 2FA is on: a TOTP code or a recovery code
+    code: z.string().max(32).optional()
+  }),
+  export: z.object({ exportId: schemas.objectId })
+};
+
+// 🔑 CHANGE PASSWORD (signs out every other session)
+app.post('/api/me/password', authenticate, rateLimit('accountSecurity'), validate({
+  body: accountSchemas.changePassword
+}), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await verifyPassword(req.user.username, currentPassword);
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    const revoked = await revokeSessions({
+      username: req.user.username,
+      _id: { $ne: req.user.sessionId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed',
+      revokedSessions: revoked
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Change password');
+  }
+});
+
+// 🗑️ DELETE ACCOUNT
+app.delete('/api/me', authenticate, rateLimit('accountSecurity'), validate({
+  body: accountSchemas.deleteAccount
+}), async (req, res) => {
+  try {
+    const user = await verifyPassword(req.user.username, req.body.password);
+    if (user.twoFactor && user.twoFactor.enabled) {
+      await verifySecondFactor(user._id, req.body.code);
+    }
+    await deleteAccount(user);
+
+    res.json({
+      success: true,
+      message: 'Account deleted'
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Delete account');
+  }
+});
+
+// 📦 START A DATA EXPORT (built in the background; `export_ready` fires when done)
+app.post('/api/me/exports', authenticate, rateLimit('dataExport'), async (req, res) => {
+  try {
+    const { username } = req.user;
+
+    const inProgress = await DataExport.exists({ username, status: { $in: ['pending', 'building'] } });
+    if (inProgress) {
+      throw new ApiError(409, 'An export is already being prepared', 'EXPORT_IN_PROGRESS');
+    }
+
+    const exportJob = await DataExport.create({
+      username,
+      expiresAt: new Date(Date.now() + EXPORT_TTL_MS)
+    });
+    setImmediate(() => runExport(exportJob));
+
+    res.status(202).json({
+      success: true,
+      message: 'Export started',
+      export: serializeExport(exportJob)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Start export');
+  }
+});
+
+// 📦 LIST MY EXPORTS
+app.get('/api/me/exports', authenticate, async (req, res) => {
+  try {
+    const exportJobs = await DataExport.find({ username: req.user.username }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      exports: exportJobs.map(serializeExport)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Get exports');
+  }
+});
+
+// 📦 EXPORT STATUS
+app.get('/api/me/exports/:exportId', authenticate, validate({ params: accountSchemas.export }), async (req, res) => {
+  try {
+    const exportJob = await loadOwnExport(req.params.exportId, req.user.username);
+
+    res.json({
+      success: true,
+      export: serializeExport(exportJob)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Get export');
+  }
+});
+
+// 📦 DOWNLOAD AN EXPORT
+app.get('/api/me/exports/:exportId/download', authenticate, validate({
+  params: accountSchemas.export
+}), async (req, res) => {
+  try {
+    const exportJob = await loadOwnExport(req.params.exportId, req.user.username);
+    if (exportJob.status !== 'complete') {
+      throw new ApiError(409, 'Export is not ready yet', 'EXPORT_NOT_READY');
+    }
+
+    const date = exportJob.completedAt.toISOString().slice(0, 10);
+    const filename = `${req.user.username.replace(/[^\w.-]/g, '_')}-export-${date}.json`;
+    res.set({
+      'Content-Type': 'application/json',
+      'Content-Length': String(exportJob.size),
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'private, no-store'
+    });
+
+    await pipeline(exportStorage.createReadStream(exportJob._id.toString()), res);
+  } catch (error) {
+    if (res.headersSent) {
+      logger.error('Download export error', { error });
+      res.destroy(error);
+      return;
+    }
+    handleRouteError(res, error, 'Download export');
+  }
+});
+
+// ==================== TWO-FACTOR AUTHENTICATION ====================
+// TOTP itself lives in totp.js; this section stores secrets, recovery codes and
+// the last accepted time step per user.
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'ChatNETv2';
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+const otpauthUri = (username, secret) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Recovery codes look like ABCD-EFGH; only their hashes are stored
+const normalizeRecoveryCode = (code) => code.replace(/[\s-]/g, '').toUpperCase();
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = base32Encode(crypto.randomBytes(5));
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+});
+
+const signTwoFactorChallenge = (user) => jwt.sign(
+  { userId: user._id, username: user.username, purpose: '2fa' },
+  JWT_SECRET,
+  { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+);
+
+// Challenge tokens carry no session id, so verifyToken() never accepts them as access tokens
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.purpose === '2fa' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Accept a TOTP code (once per time step) or consume a recovery code
+const verifySecondFactor = async (userId, code, at = Date.now()) => {
+  if (!code) {
+    throw new ApiError(400, 'A two-factor code is required', 'TWO_FACTOR_REQUIRED');
+  }
+
+  const user = await User.findById(userId).select('+twoFactor.secret');
+  const step = matchTotp(user.twoFactor.secret, code, at, user.twoFactor.lastUsedStep ?? -1);
+  if (step !== null) {
+    // Conditional update so two concurrent requests can't both use the same code
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: userId,
+        $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    if (modifiedCount === 1) return 'totp';
+  }
+
+  const { modifiedCount } = await User.updateOne(
+    { _id: userId, 'twoFactor.recoveryCodeHashes': hashToken(normalizeRecoveryCode(code)) },
+    { $pull: { 'twoFactor.recoveryCodeHashes': hashToken(normalizeRecoveryCode(code)) } }
+  );
+  if (modifiedCount === 1) return 'recovery';
+
+  throw new ApiError(400, 'Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+};
+
+const issueRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    { 'twoFactor.recoveryCodeHashes': codes.map(code => hashToken(normalizeRecoveryCode(code))) }
+  );
+  return codes;
+};
+
+const assertTwoFactorEnabled = (user, enabled) => {
+  if (user.twoFactor.enabled !== enabled) {
+    throw enabled
+      ? new ApiError(400, 'Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED')
+      : new ApiError(409, 'Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+};
+
+const twoFactorCode = z.string().min(1).max(32);
+
+const twoFactorSchemas = {
+  setup: z.object({ password: schemas.password }),
+  enable: z.object({ code: twoFactorCode }),
+  confirm: z.object({ password: schemas.password, code: twoFactorCode }),
+  login: z.object({
+    challengeToken: z.string().min(1).max(2048),
+    code: twoFactorCode,
+    deviceName: z.string().max(100).optional()
+  })
+};
+
+// 🔐 FINISH A 2FA LOGIN (challenge token from /api/login + TOTP or recovery code)
+app.post('/api/auth/2fa', rateLimit('login'), validate({ body: twoFactorSchemas.login }), async (req, res) => {
+  try {
+    const challenge = verifyTwoFactorChallenge(req.body.challengeToken);
+    const user = challenge && await User.findById(challenge.userId);
+    if (!user || user.username !== challenge.username || !user.twoFactor.enabled) {
+      throw new ApiError(401, 'Invalid or expired challenge', 'INVALID_CHALLENGE');
+    }
+
+    assertNotLocked(user);
+
+    try {
+      await verifySecondFactor(user._id, req.body.code);
+    } catch (error) {
+      if (error instanceof ApiError) await recordFailedLogin(user);
+      throw error;
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    handleRouteError(res, error, 'Two-factor login');
+  }
+});
+
+// 🔐 2FA STATUS
+app.get('/api/me/2fa', authenticate, async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.user.username }).select('+twoFactor.recoveryCodeHashes');
+
+    res.json({
+      success: true,
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt || null,
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodeHashes.length : 0
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Get 2FA status');
+  }
+});
+
+// 🔐 START 2FA ENROLLMENT (returns the secret and an otpauth:// URI for authenticator apps)
+app.post('/api/me/2fa/setup', authenticate, rateLimit('accountSecurity'), validate({
+  body: twoFactorSchemas.setup
+}), async (req, res) => {
+  try {
+    const user = await verifyPassword(req.user.username, req.body.password);
+    assertTwoFactorEnabled(user, false);
+
+    const secret = generateTotpSecret();
+    await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: otpauthUri(user.username, secret)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Set up 2FA');
+  }
+});
+
+// 🔐 CONFIRM ENROLLMENT with a code from the app; returns one-time recovery codes
+app.post('/api/me/2fa/enable', authenticate, rateLimit('accountSecurity'), validate({
+  body: twoFactorSchemas.enable
+}), async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.user.username }).select('+twoFactor.pendingSecret');
+    assertTwoFactorEnabled(user, false);
+
+    const { pendingSecret } = user.twoFactor;
+    if (!pendingSecret) {
+      throw new ApiError(400, 'Start with /api/me/2fa/setup', 'TWO_FACTOR_NOT_SET_UP');
+    }
+
+    const step = matchTotp(pendingSecret, req.body.code);
+    if (step === null) {
+      throw new ApiError(400, 'Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': pendingSecret,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date()
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    });
+    const recoveryCodes = await issueRecoveryCodes(user._id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Enable 2FA');
+  }
+});
+
+// 🔐 REPLACE RECOVERY CODES (the old ones stop working)
+app.post('/api/me/2fa/recovery-codes', authenticate, rateLimit('accountSecurity'), validate({
+  body: twoFactorSchemas.confirm
+}), async (req, res) => {
+  try {
+    const user = await verifyPassword(req.user.username, req.body.password);
+    assertTwoFactorEnabled(user, true);
+    await verifySecondFactor(user._id, req.body.code);
+
+    res.json({
+      success: true,
+      recoveryCodes: await issueRecoveryCodes(user._id)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Regenerate recovery codes');
+  }
+});
+
+// 🔐 DISABLE 2FA
+app.post('/api/me/2fa/disable', authenticate, rateLimit('accountSecurity'), validate({
+  body: twoFactorSchemas.confirm
+}), async (req, res) => {
+  try {
+    const user = await verifyPassword(req.user.username, req.body.password);
+    assertTwoFactorEnabled(user, true);
+    await verifySecondFactor(user._id, req.body.code);
+
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodeHashes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Disable 2FA');
+  }
+});
+
+// ==================== FALLBACK HANDLERS ====================
+// Keep these after every route so unknown paths and body-parser failures
+// still get the standard error envelope
+
+app.use((req, res) => {
+  handleRouteError(res, new ApiError(404, `Cannot ${req.method} ${req.path}`, 'ROUTE_NOT_FOUND'));
+});
+
+// Express only treats four-argument middleware as an error handler
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return handleRouteError(res, new ApiError(413, 'Request body is too large', 'PAYLOAD_TOO_LARGE'));
+  }
+  if (error.type === 'entity.parse.failed') {
+    return handleRouteError(res, new ApiError(400, 'Request body is not valid JSON', 'INVALID_JSON'));
+  }
+  handleRouteError(res, error, 'Unhandled');
+});
+
+// ==================== OUTAGE SEND QUEUE ====================
+// Socket sends made while MongoDB is unreachable wait here, in this process's
+// memory, and are replayed in order once the connection is back. The queue is
+// bounded overall and per user; a send that doesn't fit, or waits longer than
+// the TTL, fails back to the sender with DATABASE_UNAVAILABLE so the client can
+// retry it later.
+const SEND_QUEUE_MAX = Number(process.env.SEND_QUEUE_MAX) || 1000;
+const SEND_QUEUE_MAX_PER_USER = 50;
+const SEND_QUEUE_TTL_MS = (Number(process.env.SEND_QUEUE_TTL_SECONDS) || 120) * 1000;
+const SEND_QUEUE_RETRY_MS = 2000;
+
+const sendQueue = [];
+let drainingSendQueue = false;
+
+const queuedSendsOf = (username) => sendQueue.filter(entry => entry.username === username).length;
+
+// `send` stores and delivers the message and resolves to { message, duplicate };
+// `fields` are echoed back in the eventual message_sent (e.g. the groupId)
+const enqueueSend = (username, send, fields = {}) => {
+  if (sendQueue.length >= SEND_QUEUE_MAX || queuedSendsOf(username) >= SEND_QUEUE_MAX_PER_USER) {
+    throw databaseUnavailable();
+  }
+
+  const entry = { queueId: crypto.randomUUID(), username, send, fields, queuedAt: Date.now() };
+  sendQueue.push(entry);
+  metrics.queuedSends.set(sendQueue.length);
+  return entry.queueId;
+};
+
+// The sending device may have reconnected (with a new socket id) while it waited,
+// so the outcome goes to all of the user's devices; only the one holding the
+// queueId acts on it
+const settleQueuedSend = (entry, payload) => {
+  emitToUser(entry.username, 'message_sent', { ...payload, ...entry.fields, queueId: entry.queueId });
+};
+
+const failQueuedSends = (error, shouldFail = () => true) => {
+  for (let i = sendQueue.length - 1; i >= 0; i--) {
+    if (shouldFail(sendQueue[i])) {
+      const [entry] = sendQueue.splice(i, 1);
+      settleQueuedSend(entry, socketErrorPayload(error));
+    }
+  }
+  metrics.queuedSends.set(sendQueue.length);
+};
+
+// Replays queued sends oldest first; stops (keeping the rest) as soon as the
+// database drops out again
+const drainSendQueue = async () => {
+  if (drainingSendQueue) return;
+  drainingSendQueue = true;
+  try {
+    while (sendQueue.length > 0 && mongoose.connection.readyState === 1) {
+      const entry = sendQueue[0];
+      try {
+        settleQueuedSend(entry, sentMessagePayload(await entry.send()));
+      } catch (error) {
+        if (isDatabaseUnavailable(error)) break;
+        settleQueuedSend(entry, socketErrorPayload(error, 'Queued send'));
+      }
+      sendQueue.shift();
+      metrics.queuedSends.set(sendQueue.length);
+    }
+  } finally {
+    drainingSendQueue = false;
+  }
+};
+
+const retryQueuedSends = () => {
+  if (!drainingSendQueue) {
+    const cutoff = Date.now() - SEND_QUEUE_TTL_MS;
+    failQueuedSends(databaseUnavailable(), entry => entry.queuedAt < cutoff);
+  }
+  drainSendQueue().catch(error => logger.error('Send queue error', { error }));
+};
+
+setInterval(retryQueuedSends, SEND_QUEUE_RETRY_MS).unref();
+['connected', 'reconnected'].forEach(event => mongoose.connection.on(event, retryQueuedSends));
+
+// ==================== SOCKET.IO HANDLERS ====================
+
+// The client address as Express's req.ip would report it, so per-IP limits
+// honor TRUST_PROXY for sockets too instead of bucketing everyone behind a
+// load balancer together
+const socketClientIp = (socket) => proxyAddr(socket.request, app.get('trust proxy fn'));
+
+// 🔐 Handshake auth: clients pass the JWT as `auth: { token }` (or an Authorization header).
+// Failures surface on the client as a `connect_error` event.
+// connect_error carries the same machine-readable code as REST errors in `err.data.code`
+const handshakeError = (message, code) => Object.assign(new Error(message), { data: { code } });
+
+io.use(async (socket, next) => {
+  if (shuttingDown) {
+    return next(handshakeError('Server is shutting down', 'SERVER_SHUTTING_DOWN'));
+  }
+  if (mongoose.connection.readyState !== 1) {
+    return next(handshakeError('Database temporarily unavailable', 'DATABASE_UNAVAILABLE'));
+  }
+
+  const token = (socket.handshake.auth && socket.handshake.auth.token) ||
+    extractBearerToken(socket.handshake.headers.authorization);
+
+  if (!token) {
+    return next(handshakeError('Authentication required', 'UNAUTHORIZED'));
+  }
+
+  const user = verifyToken(token);
+  if (!user) {
+    return next(handshakeError('Invalid or expired token', 'INVALID_TOKEN'));
+  }
+
+  try {
+    if (!(await isSessionActive(user.sessionId))) {
+      return next(handshakeError('Session has been revoked', 'SESSION_REVOKED'));
+    }
+  } catch (error) {
+    logger.error('Socket session check error', { error });
+    return next(handshakeError('Internal server error', 'INTERNAL_ERROR'));
+  }
+
+  socket.user = user;
+  // socket.data is what other instances see of this socket
+  socket.data.username = user.username;
+  next();
+});
+
+// Event payloads not already covered by a section's schemas
+const socketSchemas = {
+  join: schemas.username.optional(),
+  typing: z.object({
+    sender: schemas.username.optional(),
+    receiver: schemas.username,
+    isTyping: z.boolean()
+  })
+};
+
+io.on('connection', (socket) => {
+  metrics.socketConnections.inc();
+  metrics.connectedSockets.inc();
+
+  // Every event runs with its own request id; logs also carry the socket and user
+  const socketContext = (event) => ({
+    requestId: crypto.randomUUID(),
+    socketId: socket.id,
+    username: socket.user.username,
+    event
+  });
+  socket.use(([event], next) => requestContext.run(socketContext(event), next));
+
+  requestContext.run(socketContext('connection'), () => logger.info('Socket connected'));
+
+  // Lets session revocation find and disconnect this socket
+  socket.join(`session:${socket.user.sessionId}`);
+
+  // Clients may name their device; otherwise the login session identifies it
+  const { deviceId } = socket.handshake.auth || {};
+  socket.data.deviceId = typeof deviceId === 'string' && deviceId ? deviceId : socket.user.sessionId;
+
+  // Returns the rate_limited payload (and tells the client) when this socket is over a rate limit
+  const isRateLimited = async (ruleName, event) => {
+    try {
+      await enforceRateLimit(ruleName, {
+        username: socket.user.username,
+        ip: socketClientIp(socket)
+      });
+      return false;
+    } catch (error) {
+      if (!(error instanceof RateLimitError)) throw error;
+      const payload = { event, retryAfter: error.retryAfter, ...socketErrorPayload(error) };
+      socket.emit('rate_limited', payload);
+      return payload;
+    }
+  };
+
+  // Socket-side equivalent of isSelf(): identity fields must match the token owner
+  const isSelfSocket = (claimedUsername) =>
+    claimedUsername === undefined || claimedUsername === socket.user.username;
+
+  // Send results go to the acknowledgement callback when the client passed one,
+  // otherwise to a message_sent (or message_queued) event. Either way they echo
+  // the payload's clientMessageId so the client can match them to its sends.
+  const sendReplier = (payload, ack) => {
+    const clientMessageId = payload && typeof payload.clientMessageId === 'string'
+      ? payload.clientMessageId
+      : null;
+    return (response, event = 'message_sent') => {
+      const body = { clientMessageId, ...response };
+      if (typeof ack === 'function') ack(body);
+      else socket.emit(event, body);
+    };
+  };
+
+  // Stores and delivers a message, or queues it while MongoDB is unreachable;
+  // a queued send is answered with `queued: true` and its outcome arrives later
+  // as a message_sent carrying the same queueId.
+  // Once a user has sends queued, newer ones queue behind them to keep the order.
+  // A send that failed mid-outage is queued too; it may have been stored already,
+  // which the replay only detects when the client sent a clientMessageId.
+  const sendOrQueue = async (send, reply, fields = {}) => {
+    const { username } = socket.user;
+    const queue = () => {
+      if (shuttingDown) throw serverShuttingDown();
+      const queueId = enqueueSend(username, send, fields);
+      logger.warn('Send queued during database outage', { queueId });
+      reply({ success: true, queued: true, queueId, ...fields }, 'message_queued');
+    };
+
+    if (mongoose.connection.readyState !== 1 || queuedSendsOf(username) > 0) return queue();
+    try {
+      reply({ ...sentMessagePayload(await send()), ...fields });
+    } catch (error) {
+      if (!isDatabaseUnavailable(error) || shuttingDown) throw error;
+      queue();
+    }
+  };
+
+  // Shutdown waits for sends that are already being handled
+  const trackInFlight = async (work) => {
+    inFlight.socket++;
+    try {
+      return await work();
+    } finally {
+      inFlight.socket--;
+    }
+  };
+
+  // User joins their personal room
+  socket.on('join', async (payload) => {
+    try {
+      const claimedUsername = parseWith(socketSchemas.join, payload, 'payload');
+      if (!isSelfSocket(claimedUsername)) throw identityMismatch();
+    } catch (error) {
+      socket.emit('join_error', socketErrorPayload(error, 'Socket join'));
+      return;
+    }
+
+    const { username } = socket.user;
+    if (socket.data.joinedAt) return;
+    socket.data.joinedAt = Date.now();
+
+    socket.join(username);
+    logger.info('User joined', { deviceId: socket.data.deviceId });
+    
+    // Join a room per group so group messages fan out to every member
+    try {
+      const groups = await Conversation.find({ type: 'group', 'members.username': username }, '_id');
+      groups.forEach(group => socket.join(groupRoom(group._id)));
+    } catch (error) {
+      logger.error('Join group rooms error', { error });
+    }
+
+    // Tell friends this user is online (only for their first device)
+    try {
+      if (await isFirstDevice(socket)) {
+        await announceOnline(username);
+      }
+    } catch (error) {
+      logger.error('Presence broadcast error', { error });
+    }
+  });
+
+  // Handle sending messages via socket: (payload, ack?)
+  socket.on('send_message', (payload, ack) => trackInFlight(async () => {
+    const reply = sendReplier(payload, ack);
+    try {
+      const data = parseWith(messageSchemas.direct, payload, 'payload');
+      if (!isSelfSocket(data.sender)) throw identityMismatch();
+
+      const limited = await isRateLimited('message', 'send_message');
+      if (limited) return reply(limited);
+
+      // Save, then send to every receiver device and the sender's other devices.
+      // A repeated clientMessageId returns the stored message without resending it.
+      await sendOrQueue(() => sendDirectMessage(socket.user.username, data, socket.id), reply, {
+        clientMessageId: data.clientMessageId || null
+      });
+      
+    } catch (error) {
+      reply(socketErrorPayload(error, 'Socket send message'));
+    }
+  }));
+
+  // ==================== FRIEND REQUEST SOCKET EVENTS ====================
+
+  // Listen for new friend requests
+  socket.on('send_friend_request', async (payload) => {
+    try {
+      const data = parseWith(friendSchemas.send, payload, 'payload');
+      if (!isSelfSocket(data.fromUsername)) throw identityMismatch();
+
+      if (await isRateLimited('friendRequest', 'send_friend_request')) return;
+
+      const { status, request } = await sendFriendRequest(socket.user.username, data.toUsername);
+      
+      logger.info('Friend request sent', { to: data.toUsername, status });
+
+      // Send confirmation to sender
+      socket.emit('friend_request_sent', { 
         success: true, 
-        requestId: friendRequest._id 
+        status,
+        requestId: request._id 
       });
 
     } catch (error) {
-      console.error('Socket friend request error:', error);
-      socket.emit('friend_request_error', { error: 'Internal server error' });
+      socket.emit('friend_request_error', socketErrorPayload(error, 'Socket friend request'));
     }
   });
 
   // Listen for friend request responses
-  socket.on('respond_friend_request', async (data) => {
+  socket.on('respond_friend_request', async (payload) => {
     try {
-      const { requestId, response, currentUser } = data;
-      
-      console.log(`🔄 Friend request response:`, { requestId, response, currentUser });
+      const data = parseWith(friendSchemas.respond, payload, 'payload');
+      if (!isSelfSocket(data.currentUser)) throw identityMismatch();
 
-      const friendRequest = await Friend.findById(requestId);
+      const { requestId, response } = data;
       
-      if (!friendRequest) {
-        socket.emit('friend_response_error', { error: 'Friend request not found' });
-        return;
+      logger.info('Friend request response', { friendRequestId: requestId, response });
+
+      await respondToFriendRequest(socket.user.username, requestId, response);
+
+      socket.emit('friend_response_success', { 
+        success: true, 
+        message: response === 'accepted' ? 'Friend request accepted' : 'Friend request rejected'
+      });
+
+    } catch (error) {
+      socket.emit('friend_response_error', socketErrorPayload(error, 'Socket friend response'));
+    }
+  });
+
+  // Withdraw an outgoing request: { requestId }
+  socket.on('cancel_friend_request', async (payload) => {
+    try {
+      const { requestId } = parseWith(friendSchemas.request, payload, 'payload');
+      await cancelFriendRequest(socket.user.username, requestId);
+      socket.emit('friend_request_cancel_success', { success: true, requestId });
+    } catch (error) {
+      socket.emit('friend_request_error', socketErrorPayload(error, 'Socket cancel friend request'));
+    }
+  });
+
+  // Remove an accepted friend: { username }
+  socket.on('unfriend', async (payload) => {
+    try {
+      const { username } = parseWith(friendSchemas.user, payload, 'payload');
+      await removeFriend(socket.user.username, username);
+      socket.emit('unfriend_success', { success: true, username });
+    } catch (error) {
+      socket.emit('friend_error', socketErrorPayload(error, 'Socket unfriend'));
+    }
+  });
+
+  // ==================== GROUP SOCKET EVENTS ====================
+
+  socket.on('create_group', async (payload) => {
+    try {
+      const data = parseWith(groupSchemas.create, payload, 'payload');
+      const group = await createGroup(socket.user.username, data);
+      socket.emit('group_create_success', { success: true, group: serializeGroup(group) });
+    } catch (error) {
+      socket.emit('group_error', socketErrorPayload(error, 'Socket create group'));
+    }
+  });
+
+  // (payload, ack?); acknowledged like send_message
+  socket.on('send_group_message', (payload, ack) => trackInFlight(async () => {
+    const reply = sendReplier(payload, ack);
+    try {
+      const data = parseWith(groupSchemas.socketMessage, payload, 'payload');
+      const limited = await isRateLimited('message', 'send_group_message');
+      if (limited) return reply(limited);
+
+      const { groupId, clientMessageId } = data;
+      await sendOrQueue(() => sendGroupMessage(groupId, socket.user.username, data, socket.id), reply, {
+        groupId,
+        clientMessageId: clientMessageId || null
+      });
+    } catch (error) {
+      reply(socketErrorPayload(error, 'Socket group message'));
+    }
+  }));
+
+  // ==================== RECEIPT SOCKET EVENTS ====================
+
+  // Client acks messages it has received: { messageIds }
+  socket.on('message_delivered', async (payload) => {
+    try {
+      const { messageIds } = parseWith(receiptSchemas.delivered, payload, 'payload');
+      await markMessagesDelivered(socket.user.username, messageIds);
+    } catch (error) {
+      socket.emit('receipt_error', socketErrorPayload(error, 'Socket delivered'));
+    }
+  });
+
+  // Client read a conversation up to a message: { peer | groupId, upToMessageId }
+  socket.on('mark_read', async (payload) => {
+    try {
+      const data = parseWith(receiptSchemas.read, payload, 'payload');
+      const result = await markConversationRead(socket.user.username, data);
+      socket.emit('mark_read_success', { success: true, ...result });
+    } catch (error) {
+      socket.emit('receipt_error', socketErrorPayload(error, 'Socket mark read'));
+    }
+  });
+
+  // ==================== BLOCK SOCKET EVENTS ====================
+
+  socket.on('block_user', async (payload) => {
+    try {
+      const { username } = parseWith(friendSchemas.user, payload, 'payload');
+      await blockUser(socket.user.username, username);
+      socket.emit('block_success', { success: true, username });
+    } catch (error) {
+      socket.emit('block_error', socketErrorPayload(error, 'Socket block'));
+    }
+  });
+
+  socket.on('unblock_user', async (payload) => {
+    try {
+      const { username } = parseWith(friendSchemas.user, payload, 'payload');
+      await unblockUser(socket.user.username, username);
+      socket.emit('unblock_success', { success: true, username });
+    } catch (error) {
+      socket.emit('block_error', socketErrorPayload(error, 'Socket unblock'));
+    }
+  });
+
+  // ==================== EDIT & DELETE SOCKET EVENTS ====================
+
+  // { messageId, encryptedMessage | ciphertexts }
+  socket.on('edit_message', async (payload) => {
+    try {
+      const data = parseWith(editSchemas.socketEdit, payload, 'payload');
+      const message = await editMessage(socket.user.username, data.messageId, data);
+      socket.emit('message_edit_success', { success: true, messageId: message._id });
+    } catch (error) {
+      socket.emit('message_error', socketErrorPayload(error, 'Socket edit message'));
+    }
+  });
+
+  // { messageId, scope: 'me' | 'everyone' }
+  socket.on('delete_message', async (payload) => {
+    try {
+      const { messageId, scope } = parseWith(editSchemas.socketDelete, payload, 'payload');
+      if (scope === 'everyone') {
+        await recallMessage(socket.user.username, messageId);
+      } else {
+        await deleteMessageForMe(socket.user.username, messageId);
       }
+      socket.emit('message_delete_success', { success: true, messageId, scope });
+    } catch (error) {
+      socket.emit('message_error', socketErrorPayload(error, 'Socket delete message'));
+    }
+  });
+
+  // ==================== REACTION SOCKET EVENTS ====================
+
+  // { messageId, emoji }
+  socket.on('add_reaction', async (payload) => {
+    try {
+      const { messageId, emoji } = parseWith(reactionSchemas.reaction, payload, 'payload');
+      await addReaction(socket.user.username, messageId, emoji);
+      socket.emit('reaction_success', { success: true, messageId, emoji });
+    } catch (error) {
+      socket.emit('message_error', socketErrorPayload(error, 'Socket add reaction'));
+    }
+  });
+
+  socket.on('remove_reaction', async (payload) => {
+    try {
+      const { messageId, emoji } = parseWith(reactionSchemas.removal, payload, 'payload');
+      await removeReaction(socket.user.username, messageId, emoji);
+      socket.emit('reaction_success', { success: true, messageId, emoji });
+    } catch (error) {
+      socket.emit('message_error', socketErrorPayload(error, 'Socket remove reaction'));
+    }
+  });
+
+  // ==================== DISAPPEARING MESSAGE SOCKET EVENTS ====================
+
+  // { peer | groupId, seconds }; every device in the chat also gets disappearing_timer_changed
+  socket.on('set_disappearing_timer', async (payload) => {
+    try {
+      const data = parseWith(timerSchemas.set, payload, 'payload');
+      const change = await setDisappearingTimer(socket.user.username, data);
+      socket.emit('disappearing_timer_set', { success: true, peer: data.peer || null, groupId: data.groupId || null, ...change });
+    } catch (error) {
+      socket.emit('disappearing_timer_error', socketErrorPayload(error, 'Socket set disappearing timer'));
+    }
+  });
+
+  // ==================== CALL SOCKET EVENTS ====================
+
+  // { callee, media? }
+  socket.on('call_invite', async (payload) => {
+    try {
+      const data = parseWith(callSchemas.invite, payload, 'payload');
+      if (await isRateLimited('callInvite', 'call_invite')) return;
+      await inviteCall(socket.user.username, socket.id, data);
+    } catch (error) {
+      socket.emit('call_error', { event: 'call_invite', ...socketErrorPayload(error, 'Socket call invite') });
+    }
+  });
 
-      if (friendRequest.status !== 'pending') {
-        socket.emit('friend_response_error', { error: 'Friend request already processed' });
-        return;
+  // { callId }
+  const callActions = {
+    call_accept: acceptCall,
+    call_decline: declineCall,
+    call_cancel: cancelCall,
+    call_hangup: hangupCall
+  };
+  Object.entries(callActions).forEach(([event, action]) => {
+    socket.on(event, async (payload) => {
+      try {
+        const { callId } = parseWith(callSchemas.call, payload, 'payload');
+        await action(socket.user.username, socket.id, callId);
+      } catch (error) {
+        socket.emit('call_error', { event, ...socketErrorPayload(error, `Socket ${event}`) });
       }
+    });
+  });
 
-      if (response === 'accepted') {
-        friendRequest.status = 'accepted';
-        await friendRequest.save();
-        
-        // Notify both users about new friendship
-        const senderSocketId = connectedUsers.get(friendRequest.userId);
-        const receiverSocketId = connectedUsers.get(friendRequest.friendUsername);
-        
-        if (senderSocketId) {
-          io.to(senderSocketId).emit('friend_request_accepted', {
-            requestId: friendRequest._id,
-            friendUsername: friendRequest.friendUsername
-          });
-        }
-        
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('friend_request_accepted', {
-            requestId: friendRequest._id,
-            friendUsername: friendRequest.userId
-          });
-        }
-        
-        socket.emit('friend_response_success', { 
-          success: true, 
-          message: 'Friend request accepted' 
-        });
-        
-      } else {
-        // Rejected - remove the request
-        await Friend.findByIdAndDelete(requestId);
-        
-        // Notify the sender about rejection
-        const senderSocketId = connectedUsers.get(friendRequest.userId);
-        if (senderSocketId) {
-          io.to(senderSocketId).emit('friend_request_rejected', {
-            requestId: friendRequest._id,
-            byUsername: currentUser
-          });
-        }
-        
-        socket.emit('friend_response_success', { 
-          success: true, 
-          message: 'Friend request rejected' 
-        });
+  // { callId, sdp } / { callId, candidate }, relayed under the same event name
+  const callSignals = {
+    call_offer: (data) => ({ sdp: data.sdp }),
+    call_answer: (data) => ({ sdp: data.sdp }),
+    call_ice_candidate: (data) => ({ candidate: data.candidate })
+  };
+  Object.entries(callSignals).forEach(([event, pick]) => {
+    const schema = event === 'call_ice_candidate' ? callSchemas.candidate : callSchemas.description;
+    socket.on(event, async (payload) => {
+      try {
+        const data = parseWith(schema, payload, 'payload');
+        await relayCallSignal(socket.user.username, socket.id, data.callId, event, pick(data));
+      } catch (error) {
+        socket.emit('call_error', { event, ...socketErrorPayload(error, `Socket ${event}`) });
       }
+    });
+  });
 
+  // ==================== PRESENCE SOCKET EVENTS ====================
+
+  // { status?, statusText?, showLastSeen? }
+  socket.on('set_status', async (payload) => {
+    try {
+      const data = parseWith(presenceSchemas.update, payload, 'payload');
+      const user = await setPresence(socket.user.username, data);
+      const online = await onlineUsernames([user.username]);
+      socket.emit('status_updated', { success: true, presence: serializePresence(user, socket.user.username, online) });
     } catch (error) {
-      console.error('Socket friend response error:', error);
-      socket.emit('friend_response_error', { error: 'Internal server error' });
+      socket.emit('presence_error', socketErrorPayload(error, 'Socket set status'));
     }
   });
 
   // Handle user typing
-  socket.on('typing', (data) => {
-    const receiverSocketId = connectedUsers.get(data.receiver);
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit('user_typing', {
-        sender: data.sender,
+  socket.on('typing', async (payload) => {
+    let data;
+    try {
+      data = parseWith(socketSchemas.typing, payload, 'payload');
+      if (!isSelfSocket(data.sender)) throw identityMismatch();
+    } catch (error) {
+      socket.emit('typing_error', socketErrorPayload(error, 'Socket typing'));
+      return;
+    }
+
+    try {
+      // Typing indicators never cross a block in either direction
+      const { hasBlocked, isBlockedBy } = await getBlockState(socket.user.username, data.receiver);
+      if (hasBlocked || isBlockedBy) return;
+
+      emitToUser(data.receiver, 'user_typing', {
+        sender: socket.user.username,
         isTyping: data.isTyping
       });
+    } catch (error) {
+      logger.error('Typing error', { error });
     }
   });
 
   // Handle disconnect
-  socket.on('disconnect', () => {
-    console.log('🔴 User disconnected:', socket.id);
+  socket.on('disconnect', (reason) => requestContext.run(socketContext('disconnect'), () => trackInFlight(async () => {
+    metrics.connectedSockets.dec();
+    logger.info('Socket disconnected', { reason });
     
-    // Remove from connected users
-    for (let [username, socketId] of connectedUsers.entries()) {
-      if (socketId === socket.id) {
-        connectedUsers.delete(username);
-        // Broadcast that user went offline
-        io.emit('user_offline', username);
-        console.log(`👤 User ${username} went offline`);
-        break;
+    // The user is only offline once no device is left on any instance
+    const { username } = socket.user;
+    endCallsForSocket(username, socket.id).catch(error => logger.error('Call cleanup error', { error }));
+    if (!socket.data.joinedAt) return;
+    try {
+      if (await isLastDevice(username)) {
+        // Record last-seen and tell friends the user went offline
+        await announceOffline(username);
+        logger.info('User went offline');
       }
+    } catch (error) {
+      logger.error('Presence broadcast error', { error });
     }
-  });
+  })));
 });
 
+// ==================== GRACEFUL SHUTDOWN ====================
+// On SIGTERM/SIGINT: stop accepting connections, let in-flight requests and
+// socket sends finish, warn connected clients with `server_shutdown`, replay or
+// fail queued sends, then close MongoDB and Redis. Anything still running after
+// SHUTDOWN_TIMEOUT_MS is cut off.
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 15 * 1000;
+const SHUTDOWN_POLL_MS = 100;
+
+const waitFor = async (isDone) => {
+  while (!isDone()) {
+    await new Promise(resolve => setTimeout(resolve, SHUTDOWN_POLL_MS));
+  }
+};
+
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('Shutting down', { signal, inFlight });
+
+  setTimeout(() => {
+    logger.error('Shutdown timed out, exiting', { inFlight, queuedSends: sendQueue.length });
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  try {
+    // Under cluster.js the primary owns the listening socket
+    if (server.listening) server.close();
+
+    io.local.emit('server_shutdown', { reconnect: true, message: 'Server is restarting, please reconnect' });
+    await waitFor(() => inFlight.http === 0 && inFlight.socket === 0);
+
+    await waitFor(() => !drainingSendQueue);
+    await drainSendQueue();
+    failQueuedSends(serverShuttingDown());
+
+    io.local.disconnectSockets(true);
+    await waitFor(() => inFlight.socket === 0);
+    server.closeAllConnections();
+
+    await mongoose.connection.close();
+    await Promise.all(adapterClients.map(client => client.quit()));
+    logger.info('Shutdown complete');
+    process.exit(0);
+  } catch (error) {
+    logger.error('Shutdown error', { error });
+    process.exit(1);
+  }
+};
 
 // Start server
 const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔐 API endpoints:`);
-  console.log(`   POST /api/register - User registration`);
-  console.log(`   POST /api/login - User login`);
-  console.log(`   GET /api/users - Get all users`);
-  console.log(`   GET /api/messages - Get messages between users`);
-  console.log(`   POST /api/messages - Send message`);
-  console.log(`   POST /api/friend-requests/send - Send friend request`);
-  console.log(`   POST /api/friend-requests/respond - Respond to friend request`);
-  console.log(`   GET /api/friend-requests/pending/:username - Get pending requests`);
-  console.log(`   GET /api/friends/:username - Get friends list`);
-  console.log(`🔌 Socket.io events: join, send_message, typing`);
-});
+
+// GET / lists the REST endpoints
+const logStartup = () => {
+  logger.info('Server listening', { port: Number(PORT), liveness: '/health/live', readiness: '/health/ready', metrics: '/metrics' });
+};
+
+// Run as `node server.js` or as a cluster.js worker. The tests require() this
+// file instead and drive the app without a database connection or a port.
+if (require.main === module || cluster.isWorker) {
+  connectDatabase();
+  ['SIGTERM', 'SIGINT'].forEach(signal => process.on(signal, () => shutdown(signal)));
+
+  setupAdapter()
+    .then(() => {
+      if (cluster.isWorker) {
+        // cluster.js owns the port and hands each connection to a worker, keeping
+        // a Socket.io session on the worker that started it
+        require('@socket.io/sticky').setupWorker(io);
+        logger.info('Worker ready', { worker: cluster.worker.id });
+      } else {
+        server.listen(PORT, logStartup);
+      }
+    })
+    .catch(error => {
+      logger.error('Socket.io adapter error', { error });
+      process.exit(1);
+    });
+}
+
+module.exports = { app, server, verifySecondFactor };
@@ -0,0 +1,104 @@
+// Loads server.js without MongoDB: model calls fail fast instead of buffering,
+// so every query a test reaches has to be mocked (node:test `mock.method`).
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const { app, server, verifySecondFactor } = require('../server');
+
+// Pass the readiness gate in front of the API routes. Use the file-level `mock`
+// in a before() hook: node:test can't restore this getter after a single test.
+const pretendConnected = (mock) => mock.getter(mongoose.connection, 'readyState', () => 1);
+
+// Listen on a free port; resolves to the base URL for fetch()
+const listen = () => new Promise(resolve => {
+  server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+// fetch() keeps connections alive, so drop them or close() would wait on them
+const close = () => new Promise(resolve => {
+  server.close(resolve);
+  server.closeAllConnections();
+});
+
+// Dates compare by time and ObjectIds by hex, which orders them like MongoDB does
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toHexString();
+  return value;
+};
+
+// Equality as in a filter: null matches a missing field, an array matches if any element does
+const equals = (value, expected) => {
+  if (Array.isArray(value)) return value.some(element => equals(element, expected));
+  if (expected === null) return value === null || value === undefined;
+  return comparable(value) === comparable(expected);
+};
+
+const OPERATORS = {
+  $gt: (value, arg) => value != null && comparable(value) > comparable(arg),
+  $gte: (value, arg) => value != null && comparable(value) >= comparable(arg),
+  $lt: (value, arg) => value != null && comparable(value) < comparable(arg),
+  $lte: (value, arg) => value != null && comparable(value) <= comparable(arg),
+  $ne: (value, arg) => !equals(value, arg),
+  $in: (value, args) => args.some(arg => equals(value, arg)),
+  $exists: (value, arg) => (value != null) === arg
+};
+
+const isOperatorObject = (condition) => !!condition && typeof condition === 'object' &&
+  !(condition instanceof Date) && !(condition instanceof mongoose.Types.ObjectId) &&
+  Object.keys(condition).length > 0 && Object.keys(condition).every(key => key in OPERATORS);
+
+// Enough of MongoDB's filter language to answer the queries the tests reach
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$and') return condition.every(part => matches(doc, part));
+  if (field === '$or') return condition.some(part => matches(doc, part));
+  if (field === '$nor') return !condition.some(part => matches(doc, part));
+
+  const value = typeof doc.get === 'function' ? doc.get(field) : doc[field];
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([operator, arg]) => OPERATORS[operator](value, arg));
+  }
+  return equals(value, condition);
+});
+
+// Stand-in for a Mongoose query that is chained (e.g. `.populate()`) before it
+// is awaited; `.sort()` and `.limit()` apply to an array result
+const query = (result) => {
+  let rows = result;
+  const chain = {
+    populate: () => chain,
+    select: () => chain,
+    sort: (spec) => {
+      const fields = Object.entries(spec);
+      rows = [...rows].sort((a, b) => {
+        for (const [field, direction] of fields) {
+          const [x, y] = [comparable(a.get(field)), comparable(b.get(field))];
+          if (x !== y) return (x < y ? -1 : 1) * direction;
+        }
+        return 0;
+      });
+      return chain;
+    },
+    limit: (count) => {
+      rows = rows.slice(0, count);
+      return chain;
+    },
+    then: (resolve, reject) => Promise.resolve(rows).then(resolve, reject)
+  };
+  return chain;
+};
+
+module.exports = {
+  app,
+  mongoose,
+  verifySecondFactor,
+  pretendConnected,
+  listen,
+  close,
+  matches,
+  query
+};
@@ -0,0 +1,139 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { mongoose, pretendConnected, listen, close, query } = require('./helpers');
+
+const Message = mongoose.model('Message');
+const Session = mongoose.model('Session');
+const User = mongoose.model('User');
+const Friend = mongoose.model('Friend');
+const DirectChatSettings = mongoose.model('DirectChatSettings');
+const ConversationSummary = mongoose.model('ConversationSummary');
+
+const SENDER = 'alice';
+const token = jwt.sign(
+  { userId: new mongoose.Types.ObjectId(), username: SENDER, sid: new mongoose.Types.ObjectId() },
+  process.env.JWT_SECRET
+);
+
+let baseUrl;
+before(async () => {
+  pretendConnected(mock);
+  baseUrl = await listen();
+});
+after(close);
+
+// Saved messages live in an array that enforces the unique
+// (sender, clientMessageId) index like MongoDB would
+const mockMessages = (t) => {
+  const messages = [];
+  const state = { saves: 0, racer: null };
+  const sameSend = (a, b) => a.sender === b.sender && !!a.clientMessageId && a.clientMessageId === b.clientMessageId;
+
+  t.mock.method(Session, 'findOne', async () => ({ _id: new mongoose.Types.ObjectId() }));
+  t.mock.method(User, 'exists', async ({ username }) => (['bob', 'carol'].includes(username) ? { _id: username } : null));
+  t.mock.method(Friend, 'find', async () => []);
+  t.mock.method(DirectChatSettings, 'findOne', async () => null);
+  t.mock.method(ConversationSummary, 'findOneAndUpdate', async (filter) => ({ ...filter, unreadCount: 0 }));
+
+  t.mock.method(Message, 'findOne', (filter) => query(messages.find(message => sameSend(message, filter)) || null));
+  t.mock.method(Message.prototype, 'populate', async function () {
+    return this;
+  });
+  t.mock.method(Message.prototype, 'save', async function () {
+    // A concurrent request with the same client id gets its insert in first
+    if (state.racer) {
+      messages.push(state.racer);
+      state.racer = null;
+    }
+    if (messages.some(message => sameSend(message, this))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    state.saves += 1;
+    messages.push(this);
+    return this;
+  });
+
+  return state;
+};
+
+const send = async (body, headers = {}) => {
+  const response = await fetch(`${baseUrl}/api/messages`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, ...headers },
+    body: JSON.stringify({ encryptedMessage: 'ciphertext', ...body })
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('a retried send returns the stored message instead of sending again', async (t) => {
+  const state = mockMessages(t);
+
+  const first = await send({ receiver: 'bob', clientMessageId: 'msg-1' });
+  const retry = await send({ receiver: 'bob', clientMessageId: 'msg-1' });
+
+  assert.equal(first.status, 200);
+  assert.equal(first.body.duplicate, false);
+  assert.equal(first.body.clientMessageId, 'msg-1');
+  assert.equal(retry.status, 200);
+  assert.equal(retry.body.duplicate, true);
+  assert.equal(retry.body.messageId, first.body.messageId);
+  assert.equal(state.saves, 1);
+});
+
+test('sends without a client id are never deduplicated', async (t) => {
+  const state = mockMessages(t);
+
+  const first = await send({ receiver: 'bob' });
+  const second = await send({ receiver: 'bob' });
+
+  assert.equal(second.body.duplicate, false);
+  assert.notEqual(second.body.messageId, first.body.messageId);
+  assert.equal(state.saves, 2);
+});
+
+test('the Idempotency-Key header works as the client id', async (t) => {
+  const state = mockMessages(t);
+
+  const first = await send({ receiver: 'bob' }, { 'Idempotency-Key': 'msg-2' });
+  const retry = await send({ receiver: 'bob', clientMessageId: 'msg-2' }, { 'Idempotency-Key': 'msg-2' });
+
+  assert.equal(first.body.clientMessageId, 'msg-2');
+  assert.equal(retry.body.duplicate, true);
+  assert.equal(retry.body.messageId, first.body.messageId);
+  assert.equal(state.saves, 1);
+});
+
+test('an Idempotency-Key that disagrees with clientMessageId is rejected', async (t) => {
+  const state = mockMessages(t);
+
+  const { status, body } = await send({ receiver: 'bob', clientMessageId: 'msg-3' }, { 'Idempotency-Key': 'msg-4' });
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'IDEMPOTENCY_KEY_MISMATCH');
+  assert.equal(state.saves, 0);
+});
+
+test('reusing a client id in another conversation is a conflict', async (t) => {
+  const state = mockMessages(t);
+
+  await send({ receiver: 'bob', clientMessageId: 'msg-5' });
+  const { status, body } = await send({ receiver: 'carol', clientMessageId: 'msg-5' });
+
+  assert.equal(status, 409);
+  assert.equal(body.code, 'CLIENT_MESSAGE_ID_CONFLICT');
+  assert.equal(state.saves, 1);
+});
+
+test('losing the insert race to a concurrent retry returns the winner', async (t) => {
+  const state = mockMessages(t);
+  const winner = new Message({ sender: SENDER, receiver: 'bob', encryptedMessage: 'ciphertext', clientMessageId: 'msg-6', timestamp: new Date() });
+  state.racer = winner;
+
+  const { status, body } = await send({ receiver: 'bob', clientMessageId: 'msg-6' });
+
+  assert.equal(status, 200);
+  assert.equal(body.duplicate, true);
+  assert.equal(body.messageId, String(winner._id));
+  assert.equal(state.saves, 0);
+});
@@ -0,0 +1,127 @@
+// A tiny refresh limit so the HTTP test reaches it in a few requests
+process.env.RATE_LIMITS = JSON.stringify({ refresh: { perIp: { capacity: 2, refillPerMinute: 1 } } });
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { mongoose, pretendConnected, listen, close } = require('./helpers');
+const { MemoryRateLimitStore } = require('../rateLimitStore');
+
+const Session = mongoose.model('Session');
+
+let baseUrl;
+before(async () => {
+  pretendConnected(mock);
+  baseUrl = await listen();
+});
+after(close);
+
+// A clock the test moves by hand
+const fakeClock = (t) => {
+  const clock = { now: Date.UTC(2026, 0, 1) };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+};
+
+const bucket = (key, capacity, refillPerMinute) => ({ key, limit: { capacity, refillPerMinute } });
+
+test('a bucket allows its capacity, then says when the next token is due', async (t) => {
+  fakeClock(t);
+  const store = new MemoryRateLimitStore();
+  const limit = [bucket('user:alice', 3, 6)];
+
+  for (let i = 0; i < 3; i++) {
+    assert.deepEqual(await store.consume(limit), { allowed: true, retryAfterMs: 0 });
+  }
+  // 6 per minute is one token every 10 s
+  assert.deepEqual(await store.consume(limit), { allowed: false, retryAfterMs: 10000 });
+});
+
+test('tokens refill over time but never past capacity', async (t) => {
+  const clock = fakeClock(t);
+  const store = new MemoryRateLimitStore();
+  const limit = [bucket('user:alice', 2, 6)];
+
+  await store.consume(limit);
+  await store.consume(limit);
+  clock.now += 4000;
+  assert.deepEqual(await store.consume(limit), { allowed: false, retryAfterMs: 6000 });
+
+  clock.now += 6000;
+  assert.equal((await store.consume(limit)).allowed, true);
+
+  // An hour idle refills to 2, not 360
+  clock.now += 60 * 60 * 1000;
+  assert.equal((await store.consume(limit)).allowed, true);
+  assert.equal((await store.consume(limit)).allowed, true);
+  assert.equal((await store.consume(limit)).allowed, false);
+});
+
+test('buckets are independent per key', async (t) => {
+  fakeClock(t);
+  const store = new MemoryRateLimitStore();
+
+  assert.equal((await store.consume([bucket('user:alice', 1, 1)])).allowed, true);
+  assert.equal((await store.consume([bucket('user:alice', 1, 1)])).allowed, false);
+  assert.equal((await store.consume([bucket('user:bob', 1, 1)])).allowed, true);
+});
+
+test('a request refused by one bucket costs the others nothing', async (t) => {
+  fakeClock(t);
+  const store = new MemoryRateLimitStore();
+  const user = bucket('message:user:alice', 5, 1);
+  const sharedIp = bucket('message:ip:10.0.0.1', 1, 1);
+
+  assert.equal((await store.consume([user, sharedIp])).allowed, true);
+  // The shared IP is spent: these are refused without touching alice's bucket
+  for (let i = 0; i < 10; i++) {
+    assert.equal((await store.consume([user, sharedIp])).allowed, false);
+  }
+
+  // From another IP alice still has the 4 tokens she didn't use
+  const otherIp = bucket('message:ip:10.0.0.2', 100, 1);
+  for (let i = 0; i < 4; i++) {
+    assert.equal((await store.consume([user, otherIp])).allowed, true);
+  }
+  assert.equal((await store.consume([user, otherIp])).allowed, false);
+});
+
+test('the retry time is that of the slowest empty bucket', async (t) => {
+  fakeClock(t);
+  const store = new MemoryRateLimitStore();
+  const fast = bucket('fast', 1, 60);
+  const slow = bucket('slow', 1, 1);
+
+  await store.consume([fast, slow]);
+  assert.deepEqual(await store.consume([fast, slow]), { allowed: false, retryAfterMs: 60000 });
+});
+
+test('full buckets are pruned', async (t) => {
+  const clock = fakeClock(t);
+  const store = new MemoryRateLimitStore();
+
+  await store.consume([bucket('a', 2, 60), bucket('b', 2, 1)]);
+  clock.now += 1000;
+  store.prune();
+
+  assert.deepEqual([...store.buckets.keys()], ['b']);
+});
+
+test('routes answer 429 with Retry-After once a bucket is empty', async (t) => {
+  t.mock.method(Session, 'findOneAndUpdate', async () => null);
+  t.mock.method(Session, 'findOne', async () => null);
+  t.mock.method(Session, 'exists', async () => null);
+
+  const refresh = () => fetch(`${baseUrl}/api/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken: 'unknown' })
+  });
+
+  assert.equal((await refresh()).status, 401);
+  assert.equal((await refresh()).status, 401);
+
+  const limited = await refresh();
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('retry-after'), '60');
+  assert.equal((await limited.json()).code, 'RATE_LIMITED');
+});
@@ -0,0 +1,85 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { mongoose, pretendConnected, listen, close } = require('./helpers');
+
+const Message = mongoose.model('Message');
+const Session = mongoose.model('Session');
+
+const token = jwt.sign(
+  { userId: new mongoose.Types.ObjectId(), username: 'alice', sid: new mongoose.Types.ObjectId() },
+  process.env.JWT_SECRET
+);
+const messageId = new mongoose.Types.ObjectId();
+
+let baseUrl;
+before(async () => {
+  pretendConnected(mock);
+  baseUrl = await listen();
+  // Past validation the message lookup finds nothing, so an accepted emoji
+  // comes back as MESSAGE_NOT_FOUND and a rejected one as VALIDATION_ERROR
+  mock.method(Session, 'findOne', async () => ({ _id: new mongoose.Types.ObjectId() }));
+  mock.method(Message, 'findOne', async () => null);
+});
+after(close);
+
+const react = async (emoji) => {
+  const response = await fetch(`${baseUrl}/api/messages/${messageId}/reactions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ emoji })
+  });
+  return (await response.json()).code;
+};
+
+const ACCEPTED = {
+  'emoji-presentation pictograph': '😀',
+  'with a skin tone': '👍🏽',
+  'text-default with U+FE0F': '❤️',
+  'copyright sign with U+FE0F': '©️',
+  'text-default modifier base with a skin tone': '☝🏽',
+  'ZWJ sequence': '👩‍💻',
+  'ZWJ sequence with skin tones': '🧑🏾‍🤝‍🧑🏻',
+  'ZWJ family': '👨‍👩‍👧‍👦',
+  'ZWJ with U+FE0F parts': '🏳️‍🌈',
+  'regional indicator flag': '🇻🇳',
+  'tag sequence flag (England)': '🏴󠁧󠁢󠁥󠁮󠁧󠁿',
+  'tag sequence flag (Scotland)': '🏴󠁧󠁢󠁳󠁣󠁴󠁿',
+  'keycap': '1️⃣',
+  'keycap without U+FE0F': '#⃣'
+};
+
+const REJECTED = {
+  'copyright sign without U+FE0F': '©',
+  'text-default heart without U+FE0F': '❤',
+  'trade mark sign': '™',
+  'plain letter': 'a',
+  'plain digit': '1',
+  'two emoji': '👍👍',
+  'two flags': '🇻🇳🇻🇳',
+  'emoji and a space': '👍 ',
+  'lone regional indicator': '🇻',
+  'lone skin tone': '🏻',
+  'tag sequence without its terminator': '🏴󠁧󠁢󠁥󠁮󠁧',
+  'empty string': ''
+};
+
+for (const [name, emoji] of Object.entries(ACCEPTED)) {
+  test(`accepts a ${name}`, async () => {
+    assert.equal(await react(emoji), 'MESSAGE_NOT_FOUND');
+  });
+}
+
+for (const [name, emoji] of Object.entries(REJECTED)) {
+  test(`rejects a ${name}`, async () => {
+    assert.equal(await react(emoji), 'VALIDATION_ERROR');
+  });
+}
+
+test('removal still takes reactions stored before strict validation', async () => {
+  const response = await fetch(`${baseUrl}/api/messages/${messageId}/reactions/${encodeURIComponent('©')}`, {
+    method: 'DELETE',
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  assert.equal((await response.json()).code, 'MESSAGE_NOT_FOUND');
+});
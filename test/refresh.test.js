@@ -0,0 +1,135 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { mongoose, pretendConnected, listen, close } = require('./helpers');
+
+const Session = mongoose.model('Session');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+let baseUrl;
+before(async () => {
+  pretendConnected(mock);
+  baseUrl = await listen();
+});
+after(close);
+
+// Sessions live in an array; the Session queries the refresh route and
+// revokeSessions() make are answered from it. Each update is applied in one
+// step, like a single-document write in MongoDB.
+const mockSessions = (t) => {
+  const sessions = [];
+  const matches = (session, filter) => Object.entries(filter).every(([field, value]) => {
+    if (field === 'revokedAt') return !session.revokedAt === (value === null);
+    if (value && value.$gt) return session[field] > value.$gt;
+    return String(session[field]) === String(value);
+  });
+  const find = (filter) => sessions.find(session => matches(session, filter)) || null;
+
+  t.mock.method(Session, 'findOne', async (filter) => find(filter));
+  t.mock.method(Session, 'exists', async (filter) => (find(filter) ? { _id: find(filter)._id } : null));
+  t.mock.method(Session, 'find', async (filter) => sessions.filter(session => matches(session, filter)));
+  t.mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const session = find(filter);
+    if (session) Object.assign(session, update.$set);
+    return session;
+  });
+  t.mock.method(Session, 'updateMany', async (filter, update) => {
+    const ids = filter._id.$in.map(String);
+    sessions.filter(session => ids.includes(String(session._id))).forEach(session => Object.assign(session, update));
+  });
+
+  const open = (refreshToken, fields = {}) => {
+    const session = new Session({
+      userId: new mongoose.Types.ObjectId(),
+      username: 'alice',
+      refreshTokenHash: sha256(refreshToken),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      ...fields
+    });
+    sessions.push(session);
+    return session;
+  };
+
+  return { open };
+};
+
+const refresh = async (refreshToken) => {
+  const response = await fetch(`${baseUrl}/api/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('a refresh token is swapped for a new one and an access token for the same session', async (t) => {
+  const session = mockSessions(t).open('token-a');
+
+  const { status, body } = await refresh('token-a');
+
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.notEqual(body.refreshToken, 'token-a');
+  assert.equal(body.sessionId, String(session._id));
+  assert.equal(session.refreshTokenHash, sha256(body.refreshToken));
+  assert.equal(session.previousTokenHash, sha256('token-a'));
+
+  const payload = jwt.verify(body.token, process.env.JWT_SECRET);
+  assert.equal(payload.sid, String(session._id));
+  assert.equal(payload.username, 'alice');
+
+  // The new token rotates again
+  const next = await refresh(body.refreshToken);
+  assert.equal(next.status, 200);
+  assert.equal(session.previousTokenHash, sha256(body.refreshToken));
+});
+
+test('replaying a rotated-out token revokes the session', async (t) => {
+  const session = mockSessions(t).open('token-a');
+  const { body: rotated } = await refresh('token-a');
+
+  const replay = await refresh('token-a');
+  assert.equal(replay.status, 401);
+  assert.equal(replay.body.code, 'INVALID_REFRESH_TOKEN');
+  assert.ok(session.revokedAt instanceof Date);
+
+  // The thief's (or the owner's) current token dies with the session
+  const current = await refresh(rotated.refreshToken);
+  assert.equal(current.status, 401);
+  assert.equal(current.body.code, 'SESSION_REVOKED');
+});
+
+test('of two refreshes racing with the same token only one succeeds', async (t) => {
+  const session = mockSessions(t).open('token-a');
+
+  const results = await Promise.all([refresh('token-a'), refresh('token-a')]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), [200, 401]);
+  assert.equal(results.find(result => result.status === 401).body.code, 'INVALID_REFRESH_TOKEN');
+  // The loser looks like a replay, so the winner's new token is dead too
+  assert.ok(session.revokedAt instanceof Date);
+  const winner = results.find(result => result.status === 200);
+  assert.equal((await refresh(winner.body.refreshToken)).body.code, 'SESSION_REVOKED');
+});
+
+test('an unknown token is rejected without revoking anything', async (t) => {
+  const session = mockSessions(t).open('token-a');
+
+  const { status, body } = await refresh('token-b');
+
+  assert.equal(status, 401);
+  assert.equal(body.code, 'INVALID_REFRESH_TOKEN');
+  assert.equal(session.revokedAt, null);
+});
+
+test('an expired session cannot be refreshed', async (t) => {
+  const session = mockSessions(t).open('token-a', { expiresAt: new Date(Date.now() - 1000) });
+
+  const { status, body } = await refresh('token-a');
+
+  assert.equal(status, 401);
+  assert.equal(body.code, 'SESSION_REVOKED');
+  assert.equal(session.refreshTokenHash, sha256('token-a'));
+});
@@ -0,0 +1,132 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { mongoose, pretendConnected, listen, close, matches, query } = require('./helpers');
+
+const Message = mongoose.model('Message');
+const Session = mongoose.model('Session');
+const Conversation = mongoose.model('Conversation');
+
+const USER = 'alice';
+const token = jwt.sign(
+  { userId: new mongoose.Types.ObjectId(), username: USER, sid: new mongoose.Types.ObjectId() },
+  process.env.JWT_SECRET
+);
+
+const T0 = Date.UTC(2026, 0, 1);
+const at = (minutes) => new Date(T0 + minutes * 60 * 1000);
+
+let baseUrl;
+before(async () => {
+  pretendConnected(mock);
+  baseUrl = await listen();
+});
+after(close);
+
+const group = new Conversation({ name: 'Team', createdBy: USER, members: [{ username: USER }, { username: 'bob' }] });
+
+// Messages live in an array; Message.find evaluates the route's real filter on it
+const mockMessages = (t, messages) => {
+  t.mock.method(Session, 'findOne', async () => ({ _id: new mongoose.Types.ObjectId() }));
+  t.mock.method(Conversation, 'find', () => query([group]));
+  t.mock.method(Message, 'find', (filter) => query(messages.filter(message => matches(message, filter))));
+};
+
+// `sent` and `changed` are minutes after T0
+const message = ({ sent, changed = sent, ...fields }) => new Message({
+  sender: 'bob',
+  receiver: USER,
+  encryptedMessage: 'ciphertext',
+  timestamp: at(sent),
+  updatedAt: at(changed),
+  ...fields
+});
+
+const sync = async (params) => {
+  const response = await fetch(`${baseUrl}/api/sync?${new URLSearchParams(params)}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const ids = (rows) => rows.map(row => String(row._id));
+
+test('paging by cursor returns every change once, even when updatedAt ties across pages', async (t) => {
+  // Three messages change in the same millisecond, straddling the page size of 2
+  const messages = [
+    message({ sent: 1 }),
+    message({ sent: 2, changed: 5 }),
+    message({ sent: 3, changed: 5 }),
+    message({ sent: 4, changed: 5 }),
+    message({ sent: 6 })
+  ];
+  mockMessages(t, messages);
+
+  const seen = [];
+  let params = { limit: '2' };
+  let pages = 0;
+  for (;;) {
+    const { status, body } = await sync(params);
+    assert.equal(status, 200);
+    pages += 1;
+    seen.push(...ids(body.messages), ...ids(body.changes));
+    if (!body.hasMore) break;
+    params = { limit: '2', since: body.cursor.since, sinceId: body.cursor.sinceId };
+  }
+
+  assert.equal(pages, 3);
+  assert.deepEqual(seen, ids(messages));
+});
+
+test('new messages and changes to older ones come back separately', async (t) => {
+  const since = at(10);
+  const sentBefore = message({ sent: 5, changed: 12 });
+  const sentAfter = message({ sent: 11 });
+  const ownSent = message({ sent: 13, sender: USER, receiver: 'bob' });
+  const inGroup = message({ sent: 14, receiver: undefined, conversationId: group._id });
+  const hidden = message({ sent: 6, changed: 15, hiddenFor: [USER] });
+  const unchanged = message({ sent: 5 });
+  const notMine = message({ sent: 11, sender: 'bob', receiver: 'carol' });
+  const otherGroup = message({ sent: 11, receiver: undefined, conversationId: new mongoose.Types.ObjectId() });
+  const suppressed = message({ sent: 11, suppressed: true });
+  const expired = message({ sent: 11, expiresAt: new Date(Date.now() - 1000) });
+  mockMessages(t, [sentBefore, sentAfter, ownSent, inGroup, hidden, unchanged, notMine, otherGroup, suppressed, expired]);
+
+  const { body } = await sync({ since: since.toISOString() });
+
+  assert.deepEqual(ids(body.messages), ids([sentAfter, ownSent, inGroup]));
+  assert.deepEqual(ids(body.changes), ids([sentBefore]));
+  assert.deepEqual(body.hiddenMessageIds, ids([hidden]));
+  assert.equal(body.hasMore, false);
+  assert.deepEqual(body.cursor, { since: at(15).toISOString(), sinceId: String(hidden._id) });
+});
+
+test('since also takes a millisecond timestamp', async (t) => {
+  const later = message({ sent: 11 });
+  mockMessages(t, [message({ sent: 5 }), later]);
+
+  const { body } = await sync({ since: String(at(10).getTime()) });
+
+  assert.deepEqual(ids(body.messages), ids([later]));
+});
+
+test('an empty page hands the same cursor back', async (t) => {
+  const last = message({ sent: 5 });
+  mockMessages(t, [last]);
+
+  const { body } = await sync({ since: at(5).toISOString(), sinceId: String(last._id) });
+
+  assert.deepEqual(body.messages, []);
+  assert.deepEqual(body.changes, []);
+  assert.equal(body.hasMore, false);
+  assert.deepEqual(body.cursor, { since: at(5).toISOString(), sinceId: String(last._id) });
+});
+
+test('an invalid since is a validation error', async (t) => {
+  mockMessages(t, []);
+
+  const { status, body } = await sync({ since: 'yesterday' });
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'VALIDATION_ERROR');
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  TOTP_STEP_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  totpStep,
+  generateTotp,
+  matchTotp
+} = require('../totp');
+
+// RFC 6238 appendix B: the SHA-1 seed, truncated to 6 digits
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const STEP_MS = TOTP_STEP_SECONDS * 1000;
+const NOW = Date.UTC(2026, 0, 1, 12, 0, 10);
+
+test('base32 round-trips and matches the RFC 4648 alphabet', () => {
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.deepEqual(base32Decode(RFC_SECRET.toLowerCase()), Buffer.from('12345678901234567890'));
+  assert.throws(() => base32Decode('GEZ1'), /Invalid base32 character/);
+  assert.equal(base32Decode(generateTotpSecret()).length, 20);
+});
+
+test('generateTotp matches the RFC 6238 test vectors', () => {
+  assert.equal(generateTotp(RFC_SECRET, 59 * 1000), '287082');
+  assert.equal(generateTotp(RFC_SECRET, 1111111109 * 1000), '081804');
+  assert.equal(generateTotp(RFC_SECRET, 1111111111 * 1000), '050471');
+  assert.equal(generateTotp(RFC_SECRET, 1234567890 * 1000), '005924');
+  assert.equal(generateTotp(RFC_SECRET, 2000000000 * 1000), '279037');
+});
+
+test('matchTotp returns the step of the current code', () => {
+  const code = generateTotp(RFC_SECRET, NOW);
+  assert.equal(matchTotp(RFC_SECRET, code, NOW), totpStep(NOW));
+});
+
+test('matchTotp accepts one step of clock drift either way', () => {
+  const current = totpStep(NOW);
+  assert.equal(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, NOW - STEP_MS), NOW), current - 1);
+  assert.equal(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, NOW + STEP_MS), NOW), current + 1);
+});
+
+test('matchTotp rejects codes two or more steps away', () => {
+  assert.equal(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, NOW - 2 * STEP_MS), NOW), null);
+  assert.equal(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, NOW + 2 * STEP_MS), NOW), null);
+});
+
+test('matchTotp never matches a step at or before lastUsedStep', () => {
+  const current = totpStep(NOW);
+  const code = generateTotp(RFC_SECRET, NOW);
+
+  // The same code again within its step is a replay
+  assert.equal(matchTotp(RFC_SECRET, code, NOW, current), null);
+  assert.equal(matchTotp(RFC_SECRET, code, NOW + 1000, current), null);
+  // So is an older code still inside the drift window
+  assert.equal(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, NOW - STEP_MS), NOW, current - 1), null);
+  // The next step's code is still good
+  assert.equal(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, NOW + STEP_MS), NOW, current), current + 1);
+});
+
+test('matchTotp rejects malformed codes', () => {
+  const code = generateTotp(RFC_SECRET, NOW);
+  assert.equal(matchTotp(RFC_SECRET, code.slice(1), NOW), null);
+  assert.equal(matchTotp(RFC_SECRET, `${code}0`, NOW), null);
+  assert.equal(matchTotp(RFC_SECRET, `${code.slice(0, 5)}a`, NOW), null);
+  assert.equal(matchTotp(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, NOW), null);
+  assert.equal(matchTotp(RFC_SECRET, '', NOW), null);
+});
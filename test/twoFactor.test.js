@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { mongoose, verifySecondFactor, query } = require('./helpers');
+const { TOTP_STEP_SECONDS, generateTotpSecret, generateTotp, totpStep } = require('../totp');
+
+const User = mongoose.model('User');
+
+const NOW = Date.UTC(2026, 0, 1, 12, 0, 10);
+const STEP_MS = TOTP_STEP_SECONDS * 1000;
+const RECOVERY_CODE = 'ABCD-EFGH';
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// One 2FA user behind User.findById/updateOne. updateOne applies the same
+// conditions MongoDB would, so concurrent verifications race like they would there.
+const mockAccount = (t) => {
+  const account = {
+    _id: new mongoose.Types.ObjectId(),
+    twoFactor: {
+      enabled: true,
+      secret: generateTotpSecret(),
+      recoveryCodeHashes: [sha256('ABCDEFGH')]
+    }
+  };
+
+  t.mock.method(User, 'findById', () => query({
+    _id: account._id,
+    twoFactor: { ...account.twoFactor }
+  }));
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    const { twoFactor } = account;
+    const recoveryHash = filter['twoFactor.recoveryCodeHashes'];
+    if (recoveryHash !== undefined) {
+      if (!twoFactor.recoveryCodeHashes.includes(recoveryHash)) return { modifiedCount: 0 };
+      twoFactor.recoveryCodeHashes = twoFactor.recoveryCodeHashes.filter(hash => hash !== recoveryHash);
+      return { modifiedCount: 1 };
+    }
+
+    const step = update['twoFactor.lastUsedStep'];
+    if (twoFactor.lastUsedStep !== undefined && twoFactor.lastUsedStep >= step) return { modifiedCount: 0 };
+    twoFactor.lastUsedStep = step;
+    return { modifiedCount: 1 };
+  });
+
+  return account;
+};
+
+const rejectsAsInvalid = (promise) => assert.rejects(promise, { status: 400, code: 'INVALID_TWO_FACTOR_CODE' });
+
+test('a current TOTP code is accepted and its step recorded', async (t) => {
+  const account = mockAccount(t);
+  const code = generateTotp(account.twoFactor.secret, NOW);
+
+  assert.equal(await verifySecondFactor(account._id, code, NOW), 'totp');
+  assert.equal(account.twoFactor.lastUsedStep, totpStep(NOW));
+});
+
+test('a TOTP code cannot be used twice', async (t) => {
+  const account = mockAccount(t);
+  const code = generateTotp(account.twoFactor.secret, NOW);
+
+  await verifySecondFactor(account._id, code, NOW);
+  await rejectsAsInvalid(verifySecondFactor(account._id, code, NOW + 5000));
+});
+
+test('after a code is used, older codes in the drift window are replays', async (t) => {
+  const account = mockAccount(t);
+  const { secret } = account.twoFactor;
+
+  await verifySecondFactor(account._id, generateTotp(secret, NOW), NOW);
+  await rejectsAsInvalid(verifySecondFactor(account._id, generateTotp(secret, NOW - STEP_MS), NOW));
+  assert.equal(await verifySecondFactor(account._id, generateTotp(secret, NOW + STEP_MS), NOW), 'totp');
+});
+
+test('two concurrent logins with the same code: only one wins', async (t) => {
+  const account = mockAccount(t);
+  const code = generateTotp(account.twoFactor.secret, NOW);
+
+  const results = await Promise.allSettled([
+    verifySecondFactor(account._id, code, NOW),
+    verifySecondFactor(account._id, code, NOW)
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(result => result.status === 'rejected').reason.code, 'INVALID_TWO_FACTOR_CODE');
+});
+
+test('a code outside the drift window is rejected', async (t) => {
+  const account = mockAccount(t);
+  const code = generateTotp(account.twoFactor.secret, NOW - 2 * STEP_MS);
+
+  await rejectsAsInvalid(verifySecondFactor(account._id, code, NOW));
+  assert.equal(account.twoFactor.lastUsedStep, undefined);
+});
+
+test('a recovery code works once, in any case and spacing', async (t) => {
+  const account = mockAccount(t);
+
+  assert.equal(await verifySecondFactor(account._id, 'abcd efgh', NOW), 'recovery');
+  assert.deepEqual(account.twoFactor.recoveryCodeHashes, []);
+  await rejectsAsInvalid(verifySecondFactor(account._id, RECOVERY_CODE, NOW));
+});
+
+test('a missing code is reported as required', async (t) => {
+  const account = mockAccount(t);
+  await assert.rejects(verifySecondFactor(account._id, '', NOW), { status: 400, code: 'TWO_FACTOR_REQUIRED' });
+});
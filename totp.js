@@ -0,0 +1,86 @@
+// RFC 6238 TOTP (HMAC-SHA1, 6 digits, 30 s steps) on top of node:crypto.
+// Every helper takes the time as an argument so it can run against a fake clock.
+const crypto = require('crypto');
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Steps accepted either side of the current one, for clock drift
+const TOTP_WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text.replace(/[=\s]/g, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+  return Buffer.from(bytes);
+};
+
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const totpStep = (at) => Math.floor(at / 1000 / TOTP_STEP_SECONDS);
+
+// RFC 4226 HOTP value for one counter
+const hotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  const code = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(code).padStart(TOTP_DIGITS, '0');
+};
+
+// The code an authenticator app shows at `at`
+const generateTotp = (secret, at = Date.now()) => hotp(secret, totpStep(at));
+
+// The time step `code` belongs to, or null; steps at or before `lastUsedStep` never match
+const matchTotp = (secret, code, at = Date.now(), lastUsedStep = -1) => {
+  if (!/^\d+$/.test(code) || code.length !== TOTP_DIGITS) return null;
+
+  const current = totpStep(at);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (step <= lastUsedStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(hotp(secret, step)), Buffer.from(code))) return step;
+  }
+  return null;
+};
+
+module.exports = {
+  TOTP_STEP_SECONDS,
+  TOTP_DIGITS,
+  TOTP_WINDOW,
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  totpStep,
+  generateTotp,
+  matchTotp
+};